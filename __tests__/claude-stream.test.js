@@ -0,0 +1,81 @@
+// __tests__/claude-stream.test.js
+
+const http = require('http');
+
+process.env.ANTHROPIC_MAX_RETRIES = '0';
+
+const { streamClaudeMessage } = require('../claude-stream');
+
+// A local server writing `events` as SSE, then ending the response or, with
+// `drop`, cutting the connection
+let events = [];
+let drop = false;
+let server;
+let url;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+    if (drop) {
+      setImmediate(() => res.socket.destroy());
+    } else {
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/v1/messages`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  drop = false;
+});
+
+const opening = [
+  { type: 'message_start', message: { id: 'msg_1', model: 'claude-sonnet-4-5-20250929', usage: { input_tokens: 10 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Three ' } }
+];
+
+test('reassembles the streamed message', async () => {
+  events = [
+    ...opening,
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'grants' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } }
+  ];
+  const deltas = [];
+
+  const message = await streamClaudeMessage(url, { messages: [] }, {}, { onDelta: text => deltas.push(text) });
+  expect(message).toMatchObject({
+    id: 'msg_1',
+    content: [{ type: 'text', text: 'Three grants' }],
+    stop_reason: 'end_turn',
+    usage: { output_tokens: 4 }
+  });
+  expect(deltas).toEqual(['Three ', 'grants']);
+});
+
+test('a connection lost mid-stream rejects with an upstream error', async () => {
+  events = opening;
+  drop = true;
+
+  await expect(streamClaudeMessage(url, { messages: [] }, {})).rejects.toMatchObject({
+    name: 'UpstreamError',
+    code: 'UPSTREAM_UNAVAILABLE',
+    service: 'anthropic'
+  });
+});
+
+test('an error event rejects with the error it names', async () => {
+  events = [...opening, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }];
+
+  await expect(streamClaudeMessage(url, { messages: [] }, {})).rejects.toMatchObject({
+    code: 'UPSTREAM_UNAVAILABLE',
+    message: 'Claude stream failed: Overloaded'
+  });
+});
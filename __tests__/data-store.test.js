@@ -0,0 +1,81 @@
+// __tests__/data-store.test.js
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+
+const { createJsonStore, getEntry, setEntry } = require('../data-store');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Another process (like the admin CLI) adding `count` entries one update at a time
+function addEntriesElsewhere(name, prefix, count) {
+  const script = `
+    const { createJsonStore } = require(${JSON.stringify(path.join(__dirname, '..', 'data-store'))});
+    const store = createJsonStore(${JSON.stringify(name)}, { entries: [] });
+    for (let i = 0; i < ${count}; i++) {
+      store.update(data => { data.entries.push('${prefix}' + i); });
+    }
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { env: process.env }, error => (error ? reject(error) : resolve()));
+  });
+}
+
+test('updates from several processes are all kept', async () => {
+  await Promise.all([
+    addEntriesElsewhere('shared-file', 'a', 100),
+    addEntriesElsewhere('shared-file', 'b', 100)
+  ]);
+
+  const store = createJsonStore('shared-file', { entries: [] });
+  expect(store.read().entries).toHaveLength(200);
+  expect(fs.existsSync(`${store.filePath}.lock`)).toBe(false);
+});
+
+test('a nested update reuses the lock it already holds', () => {
+  const store = createJsonStore('nested', { count: 0 });
+
+  store.update(data => {
+    data.count++;
+    store.update(inner => {
+      inner.count++;
+    });
+  });
+  expect(store.read().count).toBe(2);
+});
+
+test('a lock left behind by a dead process is taken over once stale', () => {
+  const store = createJsonStore('stale', { count: 0 });
+  const lockPath = `${store.filePath}.lock`;
+  fs.writeFileSync(lockPath, '');
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, old, old);
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  store.update(data => {
+    data.count++;
+  });
+  expect(store.read().count).toBe(1);
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('stale lock'));
+  console.warn.mockRestore();
+});
+
+test('maps only answer with their own entries', () => {
+  const store = createJsonStore('maps', { users: {} });
+
+  store.update(data => {
+    setEntry(data.users, '__proto__', { email: '__proto__' });
+  });
+  const users = JSON.parse(fs.readFileSync(store.filePath, 'utf8')).users;
+
+  expect(getEntry(users, 'constructor')).toBeNull();
+  expect(getEntry(users, 'toString')).toBeNull();
+  expect(getEntry(users, '__proto__')).toEqual({ email: '__proto__' });
+  expect(Object.getPrototypeOf(users)).toBe(Object.prototype);
+});
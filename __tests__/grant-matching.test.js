@@ -0,0 +1,94 @@
+// __tests__/grant-matching.test.js
+// Matches the mock provider's research fixture against the Candid stub
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'grant-matching-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.CANDID_MODE = 'stub';
+
+const llm = require('../llm-provider');
+const candid = require('../candid-client');
+const { extractGrants } = require('../grant-extraction');
+const {
+  compareGrants,
+  bestMatch,
+  mergeSources,
+  normalizeFunder,
+  MATCH_THRESHOLD,
+  REVIEW_THRESHOLD
+} = require('../grant-matching');
+
+let claudeGrants;
+let candidGrants;
+
+beforeAll(async () => {
+  const message = await llm.getProvider().createMessage(llm.buildMessageRequest('Rural health grants', llm.resolveLlmOptions({})));
+  claudeGrants = extractGrants(message).grants.map(grant => ({ ...grant, source: 'claude' }));
+  candidGrants = (await candid.searchGrants({}, {})).grants;
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function claudeGrant(programName) {
+  return claudeGrants.find(grant => grant.programName === programName);
+}
+
+function candidGrant(sourceId) {
+  return candidGrants.find(grant => grant.sourceId === sourceId);
+}
+
+test('normalizes funder names', () => {
+  expect(normalizeFunder('The Example Cmty. Fdn, Inc.')).toBe(normalizeFunder('Example Community Foundation'));
+});
+
+test('matches the same opportunity found by Claude and by Candid', () => {
+  const match = bestMatch(claudeGrant('Youth Education Fund'), candidGrants);
+
+  expect(match.grant.sourceId).toBe('cnd-1001');
+  expect(match.confidence).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  expect(match.scores).toMatchObject({ funder: 1, program: 1, deadline: 1 });
+});
+
+test('tells apart two programs from one funder', () => {
+  const result = compareGrants(claudeGrant('Rural Capacity Building Grants'), candidGrant('cnd-1002'));
+
+  expect(result.scores.funder).toBe(1);
+  expect(result.confidence).toBeLessThan(REVIEW_THRESHOLD);
+  expect(bestMatch(claudeGrant('Rural Capacity Building Grants'), candidGrants)).toBeNull();
+});
+
+test('never matches different funders', () => {
+  expect(bestMatch(claudeGrant('Community Health Mini-Grants'), candidGrants)).toBeNull();
+});
+
+test('records from one source match only on their id', () => {
+  const grant = candidGrant('cnd-1001');
+
+  expect(compareGrants(grant, { ...grant }).confidence).toBe(1);
+  expect(compareGrants(grant, { ...grant, sourceId: 'cnd-9999' }).confidence).toBe(0);
+});
+
+test('different EINs never match', () => {
+  const grant = candidGrant('cnd-1001');
+  expect(compareGrants(grant, { ...grant, source: 'claude', sourceId: null, funderEin: '999999999' }))
+    .toMatchObject({ confidence: 0, scores: { ein: 'mismatch' } });
+});
+
+test('merges fields from the most trusted source that has them', () => {
+  const claude = claudeGrant('Youth Education Fund');
+  const { fields, provenance, primary } = mergeSources([
+    { source: 'claude', fields: claude, seenAt: '2026-01-02T00:00:00.000Z' },
+    { source: 'candid', fields: candidGrant('cnd-1001'), seenAt: '2026-01-01T00:00:00.000Z' }
+  ]);
+
+  expect(primary.source).toBe('candid');
+  expect(provenance).toMatchObject({ funderEin: 'candid', amountMin: 'candid', currency: 'candid', rationale: 'claude' });
+  expect(fields.rationale).toBe(claude.rationale);
+  expect(fields.deadlineNotes).toBe(claude.deadlineNotes);
+  expect(provenance.deadlineNotes).toBe('claude');
+});
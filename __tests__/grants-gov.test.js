@@ -0,0 +1,59 @@
+// __tests__/grants-gov.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'grants-gov-'));
+
+const { parseExtract } = require('../grants-gov');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// An extract holding one synopsis with the given inner XML
+function writeExtract(fields) {
+  const file = path.join(process.env.DATA_DIR, `extract-${Date.now()}.xml`);
+  fs.writeFileSync(file, `<?xml version="1.0" encoding="UTF-8"?>
+<Grants xmlns="http://apply.grants.gov/system/OpportunityDetail-V1.0">
+  <OpportunitySynopsisDetail_1_0>
+    <OpportunityNumber>ED-TEST-001</OpportunityNumber>
+    ${fields}
+  </OpportunitySynopsisDetail_1_0>
+</Grants>
+`);
+  return file;
+}
+
+test('parses the sample extract', async () => {
+  const [first] = await parseExtract(path.join(__dirname, '..', 'fixtures', 'grants-gov', 'sample-extract.xml'));
+  expect(first).toMatchObject({
+    opportunityNumber: 'ED-SAMPLE-2027-001',
+    eligibilityCodes: ['12', '05'],
+    awardCeiling: 250000,
+    closeDate: '2027-03-15'
+  });
+});
+
+test('joins text, entities and CDATA within one element', async () => {
+  const [opportunity] = await parseExtract(writeExtract(
+    '<Description>  Literacy &amp; numeracy <![CDATA[for <rural> youth]]>, grades K-3  </Description>'
+  ));
+  expect(opportunity.description).toBe('Literacy & numeracy for <rural> youth, grades K-3');
+});
+
+test('keeps text longer than the parser buffer whole', async () => {
+  const eligibility = 'Rural local education agencies. '.repeat(10000).trim();
+  const [opportunity] = await parseExtract(writeExtract(
+    `<AdditionalInformationOnEligibility>${eligibility}</AdditionalInformationOnEligibility>`
+  ));
+  expect(opportunity.eligibilityInfo).toBe(eligibility);
+});
+
+test('repeated elements stay separate values', async () => {
+  const [opportunity] = await parseExtract(writeExtract(
+    '<CFDANumbers>84.999</CFDANumbers>\n<CFDANumbers> 93.211 </CFDANumbers><EligibleApplicants>12</EligibleApplicants>'
+  ));
+  expect(opportunity).toMatchObject({ cfdaNumbers: ['84.999', '93.211'], eligibilityCodes: ['12'] });
+});
@@ -0,0 +1,101 @@
+// __tests__/history-rerun.test.js
+
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const env = {
+  ...process.env,
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'history-rerun-')),
+  LLM_PROVIDER: 'mock',
+  CANDID_MODE: 'stub'
+};
+
+let server;
+let baseUrl;
+let sessionId;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-ID': sessionId }) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+  await new Promise((resolve, reject) => {
+    execFile(process.execPath, ['admin-cli.js', 'add', 'a@x.org', '--password', 'pw123456', '--role', 'admin'],
+      { cwd: root, env }, error => (error ? reject(error) : resolve()));
+  });
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['backend-server.js'], { cwd: root, env: { ...env, PORT: String(port) } });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) {
+        resolve();
+      }
+    });
+    server.on('exit', code => reject(new Error(`Server exited with ${code}: ${output}`)));
+  });
+
+  sessionId = (await api('POST', '/api/auth/claude/login', { email: 'a@x.org', password: 'pw123456' })).body.sessionId;
+}, 30000);
+
+afterAll(() => {
+  server?.kill();
+  fs.rmSync(env.DATA_DIR, { recursive: true, force: true });
+});
+
+async function waitForJob(id) {
+  for (let i = 0; i < 100; i++) {
+    const { job } = (await api('GET', `/api/jobs/${id}`)).body;
+    if (!['queued', 'running'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for the job');
+}
+
+test('a scheduled run re-runs as combined research', async () => {
+  const created = await api('POST', '/api/scheduled-searches', {
+    name: 'Weekly health',
+    search: { prompt: 'Rural health grants', contextParameters: ['health'], useCandid: true },
+    schedule: { frequency: 'weekly' }
+  });
+  expect(created.status).toBe(201);
+
+  const queued = await api('POST', `/api/scheduled-searches/${created.body.search.id}/run`);
+  const job = await waitForJob(queued.body.job.id);
+  expect(job.status).toBe('succeeded');
+
+  const scheduled = (await api('GET', `/api/history/${job.result.runId}`)).body.run;
+  expect(scheduled).toMatchObject({ route: 'combined-research', scheduleId: created.body.search.id });
+
+  const rerun = await api('POST', `/api/history/${scheduled.id}/rerun`);
+  expect(rerun.status).toBe(200);
+  expect(rerun.body.run).toMatchObject({ route: 'combined-research', scheduleId: null, useCandid: true });
+
+  // The re-run went to Candid again
+  const candidGrants = (await api('GET', '/api/grants?source=candid&pageSize=100')).body.grants;
+  expect(candidGrants.some(grant => grant.runIds.includes(rerun.body.run.id))).toBe(true);
+}, 30000);
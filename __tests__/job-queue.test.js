@@ -0,0 +1,165 @@
+// __tests__/job-queue.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JOB_CONCURRENCY = '1';
+
+const dataDirs = [];
+
+// A fresh queue over an empty (or given) data directory
+function loadQueue(jobs = null) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+  dataDirs.push(process.env.DATA_DIR);
+  if (jobs) {
+    fs.writeFileSync(path.join(process.env.DATA_DIR, 'research-jobs.json'), JSON.stringify({ jobs }));
+  }
+
+  let queue;
+  jest.isolateModules(() => {
+    queue = require('../job-queue');
+  });
+  return queue;
+}
+
+afterAll(() => {
+  for (const dir of dataDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const payload = { input: { prompt: 'Rural health grants', contextParameters: [{ id: 'health', label: 'Health' }] } };
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (check()) {
+      return;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error('Timed out waiting for the job queue');
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+test('jobs wait until workers start, then run to a result', async () => {
+  const queue = loadQueue();
+  const job = queue.enqueueJob('a@x.org', 'research', payload);
+  expect(job).toMatchObject({ status: 'queued', input: { prompt: 'Rural health grants', contextParameters: ['Health'] } });
+  expect(job.payload).toBeUndefined();
+
+  queue.startJobWorkers(async () => ({ runId: 'run-1' }));
+  await waitFor(() => queue.getJob('a@x.org', job.id).status === 'succeeded');
+  expect(queue.getJob('a@x.org', job.id)).toMatchObject({ result: { runId: 'run-1' }, stage: null });
+});
+
+test('a failing handler leaves the job failed with its error', async () => {
+  const queue = loadQueue();
+  queue.startJobWorkers(async () => {
+    const error = new Error('Quota reached');
+    error.code = 'QUOTA_EXCEEDED';
+    throw error;
+  });
+
+  const job = queue.enqueueJob('a@x.org', 'research', payload);
+  await waitFor(() => queue.getJob('a@x.org', job.id).status === 'failed');
+  expect(queue.getJob('a@x.org', job.id).error).toEqual({ message: 'Quota reached', code: 'QUOTA_EXCEEDED' });
+});
+
+test('jobs belong to their owner', () => {
+  const queue = loadQueue();
+  const job = queue.enqueueJob('a@x.org', 'research', payload);
+
+  expect(queue.getJob('b@x.org', job.id)).toBeNull();
+  expect(queue.listJobs('b@x.org')).toEqual([]);
+  expect(queue.cancelJob('b@x.org', job.id)).toBeNull();
+  expect(queue.listJobs('a@x.org', { status: 'queued' }).map(j => j.id)).toEqual([job.id]);
+});
+
+test('no more than JOB_CONCURRENCY jobs run at once', async () => {
+  const queue = loadQueue();
+  const first = deferred();
+  const started = [];
+  queue.startJobWorkers(job => {
+    started.push(job.id);
+    return started.length === 1 ? first.promise : Promise.resolve({});
+  });
+
+  const a = queue.enqueueJob('a@x.org', 'research', payload);
+  const b = queue.enqueueJob('a@x.org', 'research', payload);
+  await waitFor(() => started.length === 1);
+  expect(queue.getJob('a@x.org', b.id).status).toBe('queued');
+
+  first.resolve({});
+  await waitFor(() => queue.getJob('a@x.org', b.id).status === 'succeeded');
+  expect(started).toEqual([a.id, b.id]);
+});
+
+test('cancelling a running job aborts its handler', async () => {
+  const queue = loadQueue();
+  let signal;
+  queue.startJobWorkers((job, context) => {
+    signal = context.signal;
+    return new Promise(() => {});
+  });
+
+  const job = queue.enqueueJob('a@x.org', 'research', payload);
+  await waitFor(() => signal);
+  expect(queue.cancelJob('a@x.org', job.id)).toMatchObject({ status: 'cancelled' });
+  expect(signal.aborted).toBe(true);
+  expect(queue.cancelJob('a@x.org', job.id)).toMatchObject({ finished: { status: 'cancelled' } });
+});
+
+test('a cancelled job keeps its worker until its handler settles', async () => {
+  const queue = loadQueue();
+  const first = deferred();
+  const started = [];
+  queue.startJobWorkers(job => {
+    started.push(job.id);
+    return started.length === 1 ? first.promise : Promise.resolve({});
+  });
+
+  const a = queue.enqueueJob('a@x.org', 'research', payload);
+  const b = queue.enqueueJob('a@x.org', 'research', payload);
+  await waitFor(() => started.length === 1);
+
+  queue.cancelJob('a@x.org', a.id);
+  const c = queue.enqueueJob('a@x.org', 'research', payload);
+  await new Promise(resolve => setImmediate(resolve));
+  expect(started).toEqual([a.id]);
+  expect(queue.getJob('a@x.org', b.id).status).toBe('queued');
+  expect(queue.getJob('a@x.org', c.id).status).toBe('queued');
+
+  // A late result doesn't undo the cancellation
+  first.resolve({ runId: 'run-1' });
+  await waitFor(() => queue.getJob('a@x.org', b.id).status === 'succeeded');
+  expect(queue.getJob('a@x.org', a.id)).toMatchObject({ status: 'cancelled', result: null });
+});
+
+test('jobs left running by a previous process are queued again', async () => {
+  const queue = loadQueue([{
+    id: 'job-1',
+    owner: 'a@x.org',
+    type: 'research',
+    status: 'running',
+    stage: 'Analyzing grant opportunities',
+    payload,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  }]);
+
+  const handler = jest.fn(async () => ({ runId: 'run-1' }));
+  queue.startJobWorkers(handler);
+  await waitFor(() => queue.getJob('a@x.org', 'job-1').status === 'succeeded');
+  expect(handler).toHaveBeenCalledTimes(1);
+});
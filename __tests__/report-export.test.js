@@ -0,0 +1,84 @@
+// __tests__/report-export.test.js
+
+const ExcelJS = require('exceljs');
+const { exportReport } = require('../report-export');
+
+const data = {
+  summary: 'Three programs fit the clinic',
+  grants: [
+    {
+      programName: 'Rural Health, "Outreach"',
+      funder: 'Appalachian Fund',
+      amountMin: 5000,
+      amountMax: 25000,
+      currency: 'USD',
+      deadline: '2026-09-30',
+      deadlineNotes: 'Letter of intent first\nfull proposal by invitation',
+      eligibility: '=HYPERLINK("http://example.com")',
+      url: 'https://example.org/rural-health',
+      rationale: 'Serves southwest Virginia'
+    }
+  ],
+  orgDescription: 'A clinic in southwest Virginia',
+  profileDetails: [],
+  contextParameters: [{ label: 'Health', description: 'Health and wellness programs' }],
+  timestamp: '2026-06-10T09:30:00.000Z'
+};
+
+test('CSV has a BOM, the column headers and escaped cells', async () => {
+  const { buffer, contentType, filename } = await exportReport('csv', data, { title: 'Board Report' });
+  const text = buffer.toString('utf8');
+  const [header, row] = text.slice(1).split('\r\n');
+
+  expect(text.startsWith('\ufeff')).toBe(true);
+  expect(contentType).toBe('text/csv; charset=utf-8');
+  expect(filename).toBe('board-report-2026-06-10.csv');
+  expect(header).toBe('Fit Score,Program,Funder,Amount Min,Amount Max,Currency,Deadline,Deadline Notes,Eligibility,Website,Why It Fits,Fit Reason');
+  expect(row).toContain(',"Rural Health, ""Outreach""",Appalachian Fund,5000,25000,USD,2026-09-30,"Letter of intent first\nfull');
+  // Formulas are kept as text
+  expect(text).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+});
+
+test('XLSX stores amounts as numbers and deadlines as dates', async () => {
+  const { buffer } = await exportReport('xlsx', data);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.getWorksheet('Grants');
+  expect(sheet.getRow(1).getCell(4).value).toBe('Amount Min');
+  const row = sheet.getRow(2);
+  expect(row.getCell(4).type).toBe(ExcelJS.ValueType.Number);
+  expect(row.getCell(4).value).toBe(5000);
+  expect(row.getCell(5)).toMatchObject({ value: 25000, numFmt: '#,##0' });
+  expect(row.getCell(7).value).toEqual(new Date('2026-09-30T00:00:00Z'));
+  expect(row.getCell(10).value).toEqual({ text: 'https://example.org/rural-health', hyperlink: 'https://example.org/rural-health' });
+
+  const details = workbook.getWorksheet('Report');
+  expect(details.getRow(1).values).toEqual([undefined, 'Title', 'Grant Prospecting Report']);
+});
+
+test('Markdown follows the section options', async () => {
+  const text = (await exportReport('md', data)).buffer.toString('utf8');
+  expect(text).toContain('# Grant Prospecting Report');
+  expect(text).toContain('- **Health:** Health and wellness programs');
+
+  const trimmed = (await exportReport('md', data, { sections: { searchParameters: false } })).buffer.toString('utf8');
+  expect(trimmed).not.toContain('Health and wellness programs');
+});
+
+test('PDF renders a non-empty document', async () => {
+  const { buffer, contentType } = await exportReport('pdf', data, { pageSize: 'a4' });
+  expect(contentType).toBe('application/pdf');
+  expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+  expect(buffer.length).toBeGreaterThan(1000);
+});
+
+test('Word renders a .docx archive', async () => {
+  const { buffer, filename } = await exportReport('docx', data);
+  expect(buffer.subarray(0, 2).toString()).toBe('PK');
+  expect(filename).toBe('grant-research-2026-06-10.docx');
+});
+
+test('an unknown format is refused', async () => {
+  await expect(exportReport('toString', data)).rejects.toThrow('Unsupported export format "toString"');
+});
@@ -0,0 +1,201 @@
+// __tests__/research-cache.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'research-cache-'));
+
+const { createResearchCache, researchCacheKey } = require('../research-cache');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const input = {
+  prompt: 'Rural health grants',
+  orgDescription: 'A clinic in southwest Virginia',
+  contextParameters: [{ id: 'health' }, { id: 'rural' }],
+  llmOptions: { model: 'claude-sonnet-4-5-20250929' }
+};
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('researchCacheKey', () => {
+  test('ignores whitespace and context order', () => {
+    const reordered = {
+      ...input,
+      prompt: '  Rural   health grants ',
+      contextParameters: [{ id: 'rural' }, { id: 'health' }]
+    };
+    expect(researchCacheKey(reordered)).toBe(researchCacheKey(input));
+  });
+
+  test('differs by workspace and by the key a caller sent', () => {
+    const base = researchCacheKey(input, { workspace: 'a@x.org', keySource: 'workspace' });
+    expect(researchCacheKey(input, { workspace: 'b@x.org', keySource: 'workspace' })).not.toBe(base);
+    expect(researchCacheKey(input, { workspace: 'shared', keySource: 'header', apiKey: 'sk-one' }))
+      .not.toBe(researchCacheKey(input, { workspace: 'shared', keySource: 'header', apiKey: 'sk-two' }));
+  });
+
+  test('counts the data sources', () => {
+    expect(researchCacheKey({ ...input, useCandid: true })).not.toBe(researchCacheKey(input));
+  });
+});
+
+describe('createResearchCache', () => {
+  test('serves a stored result until it expires', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    const fn = jest.fn().mockResolvedValue({ grants: [1] });
+
+    const first = await cache.run('k', fn);
+    const second = await cache.run('k', fn);
+
+    expect(first).toMatchObject({ status: 'MISS', value: { grants: [1] } });
+    expect(second).toMatchObject({ status: 'HIT', value: { grants: [1] } });
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    const later = Date.now() + 61 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      expect(await cache.run('k', fn)).toMatchObject({ status: 'MISS' });
+      expect(fn).toHaveBeenCalledTimes(2);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('hands out copies, so callers cannot change the cached value', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    await cache.run('k', async () => ({ grants: [1] }));
+
+    const hit = await cache.run('k', jest.fn());
+    hit.value.grants.push(2);
+    expect((await cache.run('k', jest.fn())).value.grants).toEqual([1]);
+  });
+
+  test('bypass runs again and replaces the stored result', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    await cache.run('k', async () => 'old');
+
+    expect(await cache.run('k', async () => 'new', { bypass: true })).toMatchObject({ status: 'BYPASS', value: 'new' });
+    expect(await cache.run('k', jest.fn())).toMatchObject({ status: 'HIT', value: 'new' });
+  });
+
+  test('a TTL of 0 turns caching off', async () => {
+    const cache = createResearchCache({ ttlSeconds: 0 });
+    const fn = jest.fn().mockResolvedValue('value');
+
+    await cache.run('k', fn);
+    await cache.run('k', fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(cache.status('k')).toBe('BYPASS');
+  });
+
+  test('coalesces identical requests in flight', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    const upstream = deferred();
+    const fn = jest.fn(() => upstream.promise);
+
+    const first = cache.run('k', fn);
+    const second = cache.run('k', fn);
+    expect(cache.status('k')).toBe('COALESCED');
+    upstream.resolve('value');
+
+    expect(await first).toMatchObject({ status: 'MISS', value: 'value' });
+    expect(await second).toMatchObject({ status: 'COALESCED', value: 'value' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not store failures', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+
+    await expect(cache.run('k', async () => {
+      throw new Error('upstream down');
+    })).rejects.toThrow('upstream down');
+    expect(cache.status('k')).toBe('MISS');
+  });
+
+  test('one caller aborting leaves the others waiting', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    const upstream = deferred();
+    let callSignal;
+    const fn = signal => {
+      callSignal = signal;
+      return upstream.promise;
+    };
+
+    const a = new AbortController();
+    const first = cache.run('k', fn, { signal: a.signal });
+    const second = cache.run('k', fn, { signal: new AbortController().signal });
+
+    a.abort(new Error('client went away'));
+    await expect(first).rejects.toThrow('client went away');
+    expect(callSignal.aborted).toBe(false);
+
+    upstream.resolve('value');
+    expect(await second).toMatchObject({ status: 'COALESCED', value: 'value' });
+  });
+
+  test('the call is aborted once every caller has gone', async () => {
+    const cache = createResearchCache({ ttlSeconds: 60 });
+    let callSignal;
+    const fn = signal => {
+      callSignal = signal;
+      return new Promise(() => {});
+    };
+
+    const a = new AbortController();
+    const b = new AbortController();
+    const first = cache.run('k', fn, { signal: a.signal });
+    const second = cache.run('k', fn, { signal: b.signal });
+    await Promise.resolve();
+
+    a.abort(new Error('a left'));
+    b.abort(new Error('b left'));
+    await expect(first).rejects.toThrow('a left');
+    await expect(second).rejects.toThrow('b left');
+    expect(callSignal.aborted).toBe(true);
+    expect(cache.status('k')).toBe('MISS');
+  });
+});
+
+describe('disk backend', () => {
+  function loadDiskCache() {
+    process.env.RESEARCH_CACHE_BACKEND = 'disk';
+    let cache;
+    jest.isolateModules(() => {
+      cache = require('../research-cache').createResearchCache({ ttlSeconds: 60 });
+    });
+    delete process.env.RESEARCH_CACHE_BACKEND;
+    return cache;
+  }
+
+  test('keeps results across instances', async () => {
+    await loadDiskCache().run('kept', async () => ({ grants: [1] }));
+    expect(await loadDiskCache().run('kept', jest.fn())).toMatchObject({ status: 'HIT', value: { grants: [1] } });
+  });
+
+  test('sweeps out expired entries nobody asks for again', async () => {
+    const cacheDir = path.join(process.env.DATA_DIR, 'research-cache');
+    await loadDiskCache().run('stale', async () => 'old');
+
+    const later = Date.now() + 2 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      await loadDiskCache().run('new', async () => 'new');
+    } finally {
+      Date.now.mockRestore();
+    }
+    expect(fs.readdirSync(cacheDir)).toContain('new.json');
+    expect(fs.readdirSync(cacheDir)).not.toContain('stale.json');
+  });
+});
@@ -0,0 +1,81 @@
+// __tests__/schedule-store.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-'));
+
+const { nextRunAfter, resolveScheduleFields } = require('../schedule-store');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Wednesday 10 June 2026, 09:30 UTC
+const from = new Date('2026-06-10T09:30:00.000Z');
+
+describe('nextRunAfter', () => {
+  test('daily runs later today, or tomorrow once the hour has passed', () => {
+    expect(nextRunAfter({ frequency: 'daily', hour: 14 }, from)).toBe('2026-06-10T14:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'daily', hour: 8 }, from)).toBe('2026-06-11T08:00:00.000Z');
+  });
+
+  test('a run due this very moment is the next one, not this one', () => {
+    expect(nextRunAfter({ frequency: 'daily', hour: 9 }, new Date('2026-06-10T09:00:00.000Z')))
+      .toBe('2026-06-11T09:00:00.000Z');
+  });
+
+  test('weekly runs on the next matching weekday', () => {
+    expect(nextRunAfter({ frequency: 'weekly', dayOfWeek: 5, hour: 8 }, from)).toBe('2026-06-12T08:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'weekly', dayOfWeek: 1, hour: 8 }, from)).toBe('2026-06-15T08:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'weekly', dayOfWeek: 3, hour: 12 }, from)).toBe('2026-06-10T12:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'weekly', dayOfWeek: 3, hour: 8 }, from)).toBe('2026-06-17T08:00:00.000Z');
+  });
+
+  test('monthly runs on the day of the month, rolling into the next month and year', () => {
+    expect(nextRunAfter({ frequency: 'monthly', dayOfMonth: 15, hour: 8 }, from)).toBe('2026-06-15T08:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'monthly', dayOfMonth: 1, hour: 8 }, from)).toBe('2026-07-01T08:00:00.000Z');
+    expect(nextRunAfter({ frequency: 'monthly', dayOfMonth: 28, hour: 8 }, new Date('2026-12-29T00:00:00.000Z')))
+      .toBe('2027-01-28T08:00:00.000Z');
+  });
+});
+
+describe('resolveScheduleFields', () => {
+  const search = { prompt: 'Rural health grants' };
+
+  test('fills in schedule defaults', () => {
+    const fields = resolveScheduleFields({ name: 'Weekly health', search, schedule: { frequency: 'weekly' } }, { create: true });
+    expect(fields.schedule).toEqual({ frequency: 'weekly', hour: 8, dayOfWeek: 1 });
+  });
+
+  test('rejects an unknown frequency and out-of-range days', () => {
+    expect(() => resolveScheduleFields({ name: 'x', search, schedule: { frequency: 'hourly' } }, { create: true })).toThrow();
+    expect(() => resolveScheduleFields({ name: 'x', search, schedule: { frequency: 'monthly', dayOfMonth: 31 } }, { create: true }))
+      .toThrow('schedule.dayOfMonth');
+  });
+
+  test.each([
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[64:ff9b::a9fe:a9fe]/latest/meta-data',
+    'http://[64:ff9b:1::a00:1]/'
+  ])('refuses webhooks to private addresses: %s', webhookUrl => {
+    expect(() => resolveScheduleFields({
+      name: 'x',
+      search,
+      schedule: { frequency: 'daily' },
+      webhookUrl
+    }, { create: true })).toThrow('webhookUrl must point at a public address');
+  });
+
+  test('accepts webhooks to public addresses', () => {
+    const fields = resolveScheduleFields({
+      name: 'x',
+      search,
+      schedule: { frequency: 'daily' },
+      webhookUrl: 'https://[2606:4700::1111]/hook'
+    }, { create: true });
+    expect(fields.webhookUrl).toBe('https://[2606:4700::1111]/hook');
+  });
+});
@@ -0,0 +1,127 @@
+// __tests__/secret-box.test.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDirs = [];
+
+// A fresh secret-box with its keyfile in an empty data directory
+function loadSecretBox(env = {}) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-box-'));
+  dataDirs.push(process.env.DATA_DIR);
+  Object.assign(process.env, env);
+
+  let secretBox;
+  jest.isolateModules(() => {
+    secretBox = require('../secret-box');
+  });
+  return secretBox;
+}
+
+beforeAll(() => {
+  // Creating a keyfile is logged
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.SECRETS_MASTER_KEY;
+  delete process.env.SECRETS_PREVIOUS_MASTER_KEYS;
+});
+
+afterAll(() => {
+  for (const dir of dataDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const apiKey = 'sk-ant-REDACTED';
+
+test('round-trips a secret through the keyfile key', () => {
+  const { encryptSecret, decryptSecret, needsEncryption } = loadSecretBox();
+
+  const stored = encryptSecret(apiKey, 'a@x.org:claude');
+  expect(JSON.stringify(stored)).not.toContain(apiKey);
+  expect(stored.hint).toBe('cdef');
+  expect(decryptSecret(stored, 'a@x.org:claude')).toBe(apiKey);
+  expect(needsEncryption(stored)).toBe(false);
+  expect(fs.existsSync(path.join(process.env.DATA_DIR, 'master.key'))).toBe(true);
+});
+
+test('a secret only decrypts in its own context', () => {
+  const { encryptSecret, decryptSecret } = loadSecretBox();
+
+  const stored = encryptSecret(apiKey, 'a@x.org:claude');
+  expect(() => decryptSecret(stored, 'b@x.org:claude')).toThrow();
+});
+
+test('plaintext from before encryption reads back as is and needs encrypting', () => {
+  const { decryptSecret, needsEncryption } = loadSecretBox();
+
+  expect(decryptSecret(apiKey, 'a@x.org:claude')).toBe(apiKey);
+  expect(needsEncryption(apiKey)).toBe(true);
+  expect(decryptSecret(null, 'a@x.org:claude')).toBeNull();
+});
+
+test('rotation re-encrypts under a new key and retires the old one', () => {
+  const { encryptSecret, decryptSecret, needsEncryption, rotateMasterKey } = loadSecretBox();
+  let stored = encryptSecret(apiKey, 'a@x.org:claude');
+  const before = stored;
+
+  const result = rotateMasterKey(() => {
+    expect(needsEncryption(stored)).toBe(true);
+    stored = encryptSecret(decryptSecret(stored, 'a@x.org:claude'), 'a@x.org:claude');
+    return 1;
+  });
+
+  expect(result).toMatchObject({ kid: stored.kid, reencrypted: 1 });
+  expect(stored.kid).not.toBe(before.kid);
+  expect(decryptSecret(stored, 'a@x.org:claude')).toBe(apiKey);
+  expect(() => decryptSecret(before, 'a@x.org:claude')).toThrow(`No master key with id ${before.kid}`);
+  expect(fs.existsSync(`${result.keyFile}.next`)).toBe(false);
+});
+
+test('an interrupted rotation can still read everything and be run again', () => {
+  const { encryptSecret, decryptSecret, rotateMasterKey } = loadSecretBox();
+  const secrets = [encryptSecret(apiKey, 'a'), encryptSecret('sk-ant-api03-second-secret', 'b')];
+
+  expect(() => rotateMasterKey(() => {
+    secrets[0] = encryptSecret(decryptSecret(secrets[0], 'a'), 'a');
+    throw new Error('disk full');
+  })).toThrow('disk full');
+
+  // Old and new keys are both usable until the rotation finishes
+  expect(decryptSecret(secrets[0], 'a')).toBe(apiKey);
+  expect(decryptSecret(secrets[1], 'b')).toBe('sk-ant-api03-second-secret');
+
+  const { kid } = rotateMasterKey(() => {
+    secrets[1] = encryptSecret(decryptSecret(secrets[1], 'b'), 'b');
+    return 1;
+  });
+  expect(secrets.map(secret => secret.kid)).toEqual([kid, kid]);
+});
+
+test('SECRETS_MASTER_KEY rotation reads old secrets through SECRETS_PREVIOUS_MASTER_KEYS', () => {
+  const oldKey = crypto.randomBytes(32).toString('base64');
+  const newKey = crypto.randomBytes(32).toString('hex');
+
+  const stored = loadSecretBox({ SECRETS_MASTER_KEY: oldKey }).encryptSecret(apiKey, 'a');
+  const { decryptSecret, needsEncryption, rotateMasterKey } = loadSecretBox({
+    SECRETS_MASTER_KEY: newKey,
+    SECRETS_PREVIOUS_MASTER_KEYS: oldKey
+  });
+
+  expect(decryptSecret(stored, 'a')).toBe(apiKey);
+  expect(needsEncryption(stored)).toBe(true);
+  expect(rotateMasterKey(() => 0)).toMatchObject({ keyFile: null, reencrypted: 0 });
+  expect(fs.existsSync(path.join(process.env.DATA_DIR, 'master.key'))).toBe(false);
+});
+
+test('masks keys for display and logs', () => {
+  const { maskSecret, redactSecrets } = loadSecretBox();
+
+  expect(maskSecret(apiKey)).toBe('…cdef');
+  expect(maskSecret('short')).toBe('…');
+  expect(redactSecrets(`invalid x-api-key ${apiKey}`)).toBe('invalid x-api-key …cdef');
+});
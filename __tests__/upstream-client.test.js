@@ -0,0 +1,115 @@
+// __tests__/upstream-client.test.js
+
+const http = require('http');
+const { Readable } = require('stream');
+
+process.env.ANTHROPIC_MAX_RETRIES = '2';
+process.env.CANDID_MAX_RETRIES = '0';
+process.env.UPSTREAM_BREAKER_THRESHOLD = '2';
+process.env.UPSTREAM_BREAKER_COOLDOWN_MS = '60000';
+
+const { upstreamRequest, isUpstreamError, breakerStatus } = require('../upstream-client');
+
+// A local server answering each request with the next of `replies`
+// ({ status, body, headers }); the last one repeats
+let replies = [];
+let requestCount = 0;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  // Retries are logged
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  server = http.createServer((req, res) => {
+    const reply = replies[Math.min(requestCount, replies.length - 1)];
+    requestCount++;
+    res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+    res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  replies = [];
+  requestCount = 0;
+});
+
+test('returns the response of a successful request', async () => {
+  replies = [{ status: 200, body: { ok: true } }];
+  const response = await upstreamRequest('anthropic', { url: baseUrl, method: 'POST' });
+  expect(response.data).toEqual({ ok: true });
+  expect(requestCount).toBe(1);
+});
+
+test('retries retryable statuses, honouring retry-after', async () => {
+  replies = [
+    { status: 529, body: { error: { message: 'Overloaded' } }, headers: { 'retry-after': '0' } },
+    { status: 200, body: { ok: true } }
+  ];
+  const response = await upstreamRequest('anthropic', { url: baseUrl, method: 'POST' });
+  expect(response.data).toEqual({ ok: true });
+  expect(requestCount).toBe(2);
+});
+
+test('maps a rejected key to UPSTREAM_AUTH_FAILED without retrying, and masks the key', async () => {
+  replies = [{ status: 401, body: { error: { message: 'invalid x-api-key sk-ant-REDACTED' } } }];
+
+  const error = await upstreamRequest('anthropic', { url: baseUrl, method: 'POST' }).catch(e => e);
+  expect(isUpstreamError(error)).toBe(true);
+  expect(error).toMatchObject({ code: 'UPSTREAM_AUTH_FAILED', status: 502, service: 'anthropic', upstreamStatus: 401 });
+  expect(error.message).not.toContain('abcdefghijklmnop');
+  expect(requestCount).toBe(1);
+});
+
+test('gives a long retry-after back to the caller', async () => {
+  replies = [{ status: 429, body: { error: { message: 'Slow down' } }, headers: { 'retry-after': '120' } }];
+
+  const error = await upstreamRequest('anthropic', { url: baseUrl, method: 'POST' }).catch(e => e);
+  expect(error).toMatchObject({ code: 'UPSTREAM_RATE_LIMITED', status: 429, retryAfter: 120 });
+  expect(requestCount).toBe(1);
+});
+
+test('reads a streamed error body split inside a multi-byte character', async () => {
+  const body = Buffer.from(JSON.stringify({ message: 'Café closed' }));
+  const split = body.indexOf(Buffer.from('é')) + 1;
+
+  // An adapter standing in for the server, so the body arrives in two chunks
+  const error = await upstreamRequest('candid', {
+    url: baseUrl,
+    adapter: () => Promise.reject(Object.assign(new Error('Request failed'), {
+      response: {
+        status: 400,
+        headers: {},
+        data: Readable.from([body.subarray(0, split), body.subarray(split)])
+      }
+    }))
+  }).catch(e => e);
+  expect(error).toMatchObject({ code: 'INVALID_REQUEST', message: 'Café closed' });
+});
+
+test('opens the breaker after repeated failures', async () => {
+  replies = [{ status: 503, body: { message: 'Down for maintenance' } }];
+
+  await expect(upstreamRequest('candid', { url: baseUrl })).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', upstreamStatus: 503 });
+  await expect(upstreamRequest('candid', { url: baseUrl })).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', upstreamStatus: 503 });
+  expect(breakerStatus().candid).toBe('open');
+
+  // Open: fails fast without reaching the service
+  await expect(upstreamRequest('candid', { url: baseUrl })).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', upstreamStatus: null });
+  expect(requestCount).toBe(2);
+  expect(breakerStatus().anthropic).toBe('closed');
+});
+
+test('an aborted request rejects with the cancel error, not an upstream error', async () => {
+  replies = [{ status: 200, body: { ok: true } }];
+  const controller = new AbortController();
+  controller.abort();
+
+  const error = await upstreamRequest('anthropic', { url: baseUrl, signal: controller.signal }).catch(e => e);
+  expect(isUpstreamError(error)).toBe(false);
+  expect(error.name).toBe('CanceledError');
+});
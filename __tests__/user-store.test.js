@@ -0,0 +1,70 @@
+// __tests__/user-store.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+
+const userStore = require('../user-store');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeAll(async () => {
+  await userStore.createUser('a@x.org', 'pw123456', { role: 'admin' });
+});
+
+test('checks credentials', async () => {
+  expect(await userStore.verifyCredentials('A@x.org ', 'pw123456')).toMatchObject({ email: 'a@x.org', role: 'admin' });
+  expect(await userStore.verifyCredentials('a@x.org', 'wrong')).toBeNull();
+  expect(await userStore.verifyCredentials('b@x.org', 'pw123456')).toBeNull();
+});
+
+// Emails are lowercased, so these are the Object.prototype members one can name
+test.each(['constructor', '__proto__'])('"%s" is an unknown user, not an Object.prototype member', async email => {
+  expect(userStore.getUser(email)).toBeNull();
+  await expect(userStore.verifyCredentials(email, 'pw123456')).resolves.toBeNull();
+  expect(() => userStore.setDisabled(email, true)).toThrow(`User ${email} not found`);
+  expect(userStore.deleteUser(email)).toBeNull();
+});
+
+test('"__proto__" is stored like any other email', async () => {
+  await userStore.createUser('__proto__', 'pw123456');
+
+  expect(userStore.getUser('__proto__')).toMatchObject({ email: '__proto__' });
+  expect(userStore.listUsers().map(user => user.email)).toEqual(['a@x.org', '__proto__']);
+  expect(userStore.deleteUser('__proto__')).toMatchObject({ email: '__proto__' });
+});
+
+test('sessions are only found by their own id', () => {
+  const session = userStore.createSession('a@x.org');
+
+  expect(userStore.getSession(session.id)).toMatchObject({ user: { email: 'a@x.org' }, role: 'admin' });
+  expect(userStore.getSession('constructor')).toEqual({ error: 'Invalid session' });
+  expect(userStore.getSession(['constructor'])).toEqual({ error: 'Invalid session' });
+  expect(userStore.setSessionWorkspace('constructor', 'a@x.org')).toBeNull();
+});
+
+test('sessionRole looks a session up without ending it', () => {
+  const session = userStore.createSession('a@x.org');
+  expect(userStore.sessionRole(session.id)).toBe('admin');
+  expect(userStore.sessionRole('constructor')).toBeNull();
+
+  jest.spyOn(Date, 'now').mockReturnValue(session.expiresAt + 1);
+  try {
+    expect(userStore.sessionRole(session.id)).toBeNull();
+    expect(userStore.getSession(session.id)).toEqual({ error: 'Session expired' });
+  } finally {
+    Date.now.mockRestore();
+  }
+});
+
+test('disabling a user ends their sessions', () => {
+  const session = userStore.createSession('a@x.org');
+
+  userStore.setDisabled('a@x.org', true);
+  expect(userStore.getSession(session.id)).toEqual({ error: 'Invalid session' });
+  userStore.setDisabled('a@x.org', false);
+});
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// admin-cli.js
+// Command-line administration: users and workspaces in the persistent store,
+// data imports
+//
+// Usage: npm run admin -- <command> [args]
+
+require('dotenv').config();
+const readline = require('readline');
+const userStore = require('./user-store');
+const workspaceStore = require('./workspace-store');
+const secretBox = require('./secret-box');
+const grantsGov = require('./grants-gov');
+const { recordAudit } = require('./audit-log');
+
+const USAGE = `Usage: npm run admin -- <command> [args]
+
+Commands:
+  list                                  List users
+  add <email> [--workspace ID | --claude-key KEY --candid-key KEY] [--password PASS] [--role ROLE]
+                                        Add a user (prompts for the password), in an existing
+                                        workspace or a personal one holding the keys given
+  workspaces                            List workspaces
+  add-workspace <id> [--name NAME] [--claude-key KEY] [--candid-key KEY]
+                                        Add a workspace
+  set-keys <workspace> [--claude-key KEY] [--candid-key KEY]
+                                        Change a workspace's API keys (a personal workspace's
+                                        id is its user's email)
+  add-member <workspace> <email>        Add a user to a workspace
+  remove-member <workspace> <email>     Remove a user from a workspace
+  set-role <email> <role>               Make a user a viewer, researcher or admin
+  reset-password <email> [--password PASS]
+                                        Set a new password and end the user's sessions
+  disable <email>                       Disable a user and end their sessions
+  enable <email>                        Re-enable a disabled user
+  import-env                            Import CLAUDE_USERS / CANDID_USERS / USER_PASSWORDS from .env
+  rotate-master-key                     Re-encrypt stored API keys under a new master key
+  import-grants-gov <file.xml>          Replace the federal index with a Grants.gov XML extract`;
+
+// Split argv into positional args and --flag values
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      flags[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+// Prompt without echoing the typed password back to the terminal
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl._writeToOutput = text => {
+      if (text.includes(question)) {
+        process.stdout.write(text);
+      }
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function getPassword(flags) {
+  if (flags.password) {
+    return flags.password;
+  }
+  const password = await promptPassword('Password: ');
+  const confirm = await promptPassword('Confirm password: ');
+  if (password !== confirm) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+// Changes made here are audited like the admin API's, with "cli" as the actor
+function auditAdmin(action, target, details = {}) {
+  recordAudit('admin', { actor: 'cli', osUser: process.env.USER || null, action, target, ...details });
+}
+
+function requireEmail(email) {
+  if (!email) {
+    throw new Error('Email is required\n\n' + USAGE);
+  }
+  return email;
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const { positional, flags } = parseArgs(rest);
+  const [email] = positional;
+
+  // Keys and teams from before workspaces are moved first, so commands (and a
+  // key rotation) see every key where it now lives
+  const { migrated } = workspaceStore.migrateUsers();
+  if (migrated.length > 0) {
+    console.log(`Moved the keys and data of ${migrated.join(', ')} to personal workspaces`);
+  }
+
+  switch (command) {
+    case 'list': {
+      const users = userStore.listUsers();
+      if (users.length === 0) {
+        console.log('No users');
+      }
+      for (const user of users) {
+        const workspaces = workspaceStore.workspacesFor(user.email).map(workspace => workspace.id);
+        console.log(`${user.email}\t${user.disabled ? 'disabled' : 'active'}\trole: ${userStore.roleOf(user)}\tworkspaces: ${workspaces.join(', ') || 'none'}`);
+      }
+      break;
+    }
+
+    case 'add': {
+      requireEmail(email);
+      const password = await getPassword(flags);
+      await workspaceStore.createUserInWorkspace(email, password, {
+        workspaceId: flags.workspace || null,
+        claudeApiKey: flags['claude-key'] || null,
+        candidApiKey: flags['candid-key'] || null,
+        role: flags.role
+      });
+      auditAdmin('add-user', email, { role: flags.role || null, workspaceId: flags.workspace || null });
+      console.log(`Added ${email}`);
+      break;
+    }
+
+    case 'workspaces': {
+      const workspaces = workspaceStore.listWorkspaces();
+      if (workspaces.length === 0) {
+        console.log('No workspaces');
+      }
+      for (const workspace of workspaces) {
+        const keys = ['claude', 'candid'].filter(service => workspaceStore.hasApiKey(workspace, service));
+        console.log(`${workspace.id}\t${workspace.name}\tkeys: ${keys.join(', ') || 'none'}\tmembers: ${workspace.members.join(', ') || 'none'}`);
+      }
+      break;
+    }
+
+    case 'add-workspace': {
+      const [id] = positional;
+      if (!id) {
+        throw new Error('Workspace id is required\n\n' + USAGE);
+      }
+      const workspace = workspaceStore.createWorkspace(id, {
+        name: flags.name,
+        claudeApiKey: flags['claude-key'] || null,
+        candidApiKey: flags['candid-key'] || null
+      });
+      auditAdmin('add-workspace', workspace.id, { name: workspace.name });
+      console.log(`Added workspace ${workspace.id}`);
+      break;
+    }
+
+    case 'set-keys': {
+      const [id] = positional;
+      if (!id) {
+        throw new Error('Workspace id is required\n\n' + USAGE);
+      }
+      workspaceStore.setWorkspaceKeys(id, {
+        claudeApiKey: flags['claude-key'],
+        candidApiKey: flags['candid-key']
+      });
+      // Which keys changed, never the keys themselves
+      auditAdmin('set-keys', id, {
+        keys: ['claude-key', 'candid-key'].filter(flag => flags[flag] !== undefined)
+      });
+      console.log(`Updated keys for workspace ${id}`);
+      break;
+    }
+
+    case 'add-member':
+    case 'remove-member': {
+      const [id, member] = positional;
+      if (!id || !member) {
+        throw new Error('Workspace id and email are required\n\n' + USAGE);
+      }
+      if (command === 'add-member') {
+        workspaceStore.addMember(id, member);
+      } else {
+        const workspaces = workspaceStore.workspacesFor(member);
+        if (workspaces.length === 1 && workspaces[0].id === id.toLowerCase()) {
+          throw new Error(`${id} is the only workspace of ${member}; add them to another first`);
+        }
+        workspaceStore.removeMember(id, member);
+      }
+      auditAdmin(command, id, { member });
+      console.log(command === 'add-member' ? `Added ${member} to ${id}` : `Removed ${member} from ${id}`);
+      break;
+    }
+
+    case 'set-role': {
+      requireEmail(email);
+      const role = positional[1];
+      if (!role) {
+        throw new Error('Role is required\n\n' + USAGE);
+      }
+      userStore.setRole(email, role);
+      auditAdmin('set-role', email, { role });
+      console.log(`${email} is now a ${role}`);
+      break;
+    }
+
+    case 'reset-password':
+      requireEmail(email);
+      await userStore.setPassword(email, await getPassword(flags));
+      auditAdmin('reset-password', email);
+      console.log(`Password reset for ${email}`);
+      break;
+
+    case 'disable':
+      userStore.setDisabled(requireEmail(email), true);
+      auditAdmin('disable-user', email);
+      console.log(`Disabled ${email}`);
+      break;
+
+    case 'enable':
+      userStore.setDisabled(requireEmail(email), false);
+      auditAdmin('enable-user', email);
+      console.log(`Enabled ${email}`);
+      break;
+
+    case 'import-env': {
+      const imported = await workspaceStore.importEnvUsers();
+      auditAdmin('import-env', null, { imported });
+      console.log(imported.length > 0
+        ? `Imported ${imported.join(', ')}`
+        : 'No new users to import');
+      break;
+    }
+
+    case 'rotate-master-key': {
+      const { kid, reencrypted, keyFile } = secretBox.rotateMasterKey(() => workspaceStore.encryptStoredKeys());
+      auditAdmin('rotate-master-key', kid, { reencrypted });
+      console.log(`Re-encrypted ${reencrypted} API key(s) under master key ${kid}`);
+      console.log(keyFile
+        ? `The new key is in ${keyFile}; back it up and discard copies of the old one`
+        : 'Remove the old key from SECRETS_PREVIOUS_MASTER_KEYS once every server runs with the new one');
+      break;
+    }
+
+    case 'import-grants-gov': {
+      const [filePath] = positional;
+      if (!filePath) {
+        throw new Error('Path to the Grants.gov XML extract is required\n\n' + USAGE);
+      }
+      const { imported } = await grantsGov.importExtract(filePath);
+      auditAdmin('import-grants-gov', filePath, { imported });
+      console.log(`Imported ${imported} federal opportunities from ${filePath}`);
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// audit-log.js
+// Append-only audit trail of logins, research, exports, digests and admin actions,
+// kept as JSON lines in DATA_DIR/audit with size-based rotation
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-store');
+
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const CURRENT_FILE = path.join(AUDIT_DIR, 'audit.jsonl');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// The current file is rotated once it would pass AUDIT_MAX_FILE_BYTES; the
+// oldest rotated files past AUDIT_MAX_FILES are deleted
+const MAX_FILE_BYTES = envInt('AUDIT_MAX_FILE_BYTES', 10 * 1024 * 1024);
+const MAX_FILES = envInt('AUDIT_MAX_FILES', 20);
+
+const AUDIT_EVENTS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout',
+  'auth.session_expired',
+  'research',
+  'export',
+  'digest',
+  'admin'
+];
+
+const OUTCOMES = ['success', 'failure', 'cancelled'];
+
+// Rotated files are named by when they were rotated, so they sort by age
+const ROTATED_FILE = /^audit-\d{8}T\d{9}Z\.jsonl$/;
+
+// Append one entry. `actor` is the user (or attempted email, 'shared',
+// 'cli'); everything besides actor, ip, route and outcome goes in `details`.
+// A failed write is logged but never fails the caller.
+function recordAudit(event, { actor = null, ip = null, route = null, outcome = 'success', ...details } = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    event,
+    actor,
+    ip,
+    route,
+    outcome,
+    details
+  };
+
+  try {
+    const line = JSON.stringify(entry) + '\n';
+    fs.mkdirSync(AUDIT_DIR, { recursive: true, mode: 0o700 });
+    rotateIfFull(Buffer.byteLength(line));
+    fs.appendFileSync(CURRENT_FILE, line, { mode: 0o600 });
+  } catch (error) {
+    console.error(`Failed to write audit entry (${event}):`, error.message);
+  }
+
+  return entry;
+}
+
+// Sessions are credentials, so entries refer to them by a short hash
+function sessionRef(sessionId) {
+  return sessionId ? crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16) : null;
+}
+
+function rotateIfFull(incomingBytes) {
+  let size;
+  try {
+    size = fs.statSync(CURRENT_FILE).size;
+  } catch {
+    return;
+  }
+  if (size + incomingBytes <= MAX_FILE_BYTES) {
+    return;
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  fs.renameSync(CURRENT_FILE, path.join(AUDIT_DIR, `audit-${stamp}.jsonl`));
+  for (const name of rotatedFiles().slice(MAX_FILES)) {
+    fs.rmSync(path.join(AUDIT_DIR, name), { force: true });
+  }
+}
+
+// Rotated file names, newest first
+function rotatedFiles() {
+  try {
+    return fs.readdirSync(AUDIT_DIR).filter(name => ROTATED_FILE.test(name)).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Entries of one file, newest first; unreadable lines are skipped
+function readEntries(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of raw.split('\n').reverse()) {
+    if (!line) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      console.warn(`Skipping unreadable audit line in ${path.basename(filePath)}`);
+    }
+  }
+  return entries;
+}
+
+// ============================================
+// Queries
+// ============================================
+
+// Newest entries first. `event` may be a category ("auth" matches every
+// auth.* event). `from` / `to` are dates or ISO timestamps, both inclusive.
+// Returns { entries, hasMore }.
+function queryAudit({ actor, event, outcome, from, to, limit = 100 } = {}) {
+  const matches = entry =>
+    (!actor || entry.actor === actor) &&
+    (!event || entry.event === event || entry.event.startsWith(`${event}.`)) &&
+    (!outcome || entry.outcome === outcome) &&
+    (!to || entry.timestamp.slice(0, to.length) <= to);
+
+  const entries = [];
+  const files = [CURRENT_FILE, ...rotatedFiles().map(name => path.join(AUDIT_DIR, name))];
+  for (const filePath of files) {
+    for (const entry of readEntries(filePath)) {
+      // Entries are appended in time order, so nothing older can match
+      if (from && entry.timestamp < from) {
+        return { entries, hasMore: false };
+      }
+      if (!matches(entry)) {
+        continue;
+      }
+      if (entries.length === limit) {
+        return { entries, hasMore: true };
+      }
+      entries.push(entry);
+    }
+  }
+
+  return { entries, hasMore: false };
+}
+
+// True when `event` names an event or a category of them
+function isAuditEvent(event) {
+  return AUDIT_EVENTS.some(name => name === event || name.startsWith(`${event}.`));
+}
+
+module.exports = {
+  recordAudit,
+  sessionRef,
+  queryAudit,
+  isAuditEvent,
+  AUDIT_EVENTS,
+  OUTCOMES
+};
@@ -0,0 +1,224 @@
+// calendar.js
+// iCalendar (.ics) export of grant deadlines and revocable calendar feed tokens
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+const { parseDeadlineText } = require('./deadline-parser');
+
+const PRODUCT_ID = '-//Grant Prospecting//Grant Deadlines//EN';
+const UID_DOMAIN = 'grant-prospecting';
+
+// Days before each deadline that the reminder alarm fires; 0 turns alarms off
+const DEFAULT_REMINDER_DAYS = parseInt(process.env.CALENDAR_REMINDER_DAYS, 10) || 7;
+const MAX_REMINDER_DAYS = 90;
+
+const KIND_LABELS = {
+  loi: 'LOI due',
+  application: 'Application due',
+  deadline: 'Deadline'
+};
+
+// One feed per user; only a hash of the token is stored
+const store = createJsonStore('calendar-feeds', { feeds: [] });
+
+// Validate feed settings ({ reminderDays, includeSaved }). Throws with a
+// user-facing message.
+function resolveCalendarOptions(options = {}) {
+  let reminderDays = DEFAULT_REMINDER_DAYS;
+  if (options.reminderDays !== undefined && options.reminderDays !== null && options.reminderDays !== '') {
+    reminderDays = Number(options.reminderDays);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0 || reminderDays > MAX_REMINDER_DAYS) {
+      throw new Error(`reminderDays must be a whole number between 0 and ${MAX_REMINDER_DAYS}`);
+    }
+  }
+
+  return {
+    reminderDays,
+    includeSaved: options.includeSaved === true || options.includeSaved === 'true'
+  };
+}
+
+// ============================================
+// Events
+// ============================================
+
+// Calendar events for one grant: every date in its deadline wording, plus the
+// ISO deadline if the wording didn't already cover it. `id` keeps UIDs stable
+// between feed refreshes; `context` is an extra description line.
+function grantDeadlineEvents(grant, { id, context = null }) {
+  const parsed = parseDeadlineText(grant.deadlineNotes || '');
+  const deadlines = [...parsed.deadlines];
+  if (grant.deadline && !deadlines.some(d => d.date === grant.deadline)) {
+    deadlines.push({ kind: 'deadline', date: grant.deadline, opensOn: null });
+  }
+
+  return deadlines.map(deadline => ({
+    uid: `${id}-${deadline.kind}-${deadline.date}@${UID_DOMAIN}`,
+    date: deadline.date,
+    summary: `${KIND_LABELS[deadline.kind]}: ${grant.programName} (${grant.funder})`,
+    description: [
+      `Funder: ${grant.funder}`,
+      context,
+      deadline.opensOn ? `Window opens: ${deadline.opensOn}` : null,
+      grant.deadlineNotes ? `Deadlines: ${grant.deadlineNotes}` : null,
+      grant.url ? `Details: ${grant.url}` : null
+    ].filter(Boolean).join('\n'),
+    url: grant.url || null
+  }));
+}
+
+// ============================================
+// iCalendar output (RFC 5545)
+// ============================================
+
+function buildCalendar(events, { name = 'Grant Deadlines', reminderDays = DEFAULT_REMINDER_DAYS } = {}) {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed calendars to refresh a few times a day
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H'
+  ];
+
+  const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+  for (const event of sorted) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (reminderDays > 0) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:-P${reminderDays}D`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ============================================
+// Feed tokens
+// ============================================
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new feed token for the user, revoking any earlier one. The token is
+// only returned here; afterwards the server knows just its hash.
+function createFeed(email, options) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const feed = {
+    tokenHash: hashToken(token),
+    email,
+    reminderDays: options.reminderDays,
+    includeSaved: options.includeSaved,
+    createdAt: new Date().toISOString()
+  };
+
+  store.update(data => {
+    data.feeds = data.feeds.filter(f => f.email !== email);
+    data.feeds.push(feed);
+  });
+
+  return { token, ...publicFeed(feed) };
+}
+
+function getFeedForUser(email) {
+  const feed = store.read().feeds.find(f => f.email === email);
+  return feed ? publicFeed(feed) : null;
+}
+
+function findFeedByToken(token) {
+  const tokenHash = hashToken(String(token));
+  const feed = store.read().feeds.find(f => f.tokenHash === tokenHash);
+  return feed ? { email: feed.email, ...publicFeed(feed) } : null;
+}
+
+function revokeFeed(email) {
+  return store.update(data => {
+    const before = data.feeds.length;
+    data.feeds = data.feeds.filter(f => f.email !== email);
+    return data.feeds.length < before;
+  });
+}
+
+function publicFeed(feed) {
+  return {
+    reminderDays: feed.reminderDays,
+    includeSaved: feed.includeSaved,
+    createdAt: feed.createdAt
+  };
+}
+
+module.exports = {
+  resolveCalendarOptions,
+  grantDeadlineEvents,
+  buildCalendar,
+  createFeed,
+  getFeedForUser,
+  findFeedByToken,
+  revokeFeed
+};
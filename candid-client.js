@@ -0,0 +1,276 @@
+// candid-client.js
+// Candid grants search: filter mapping, pagination and normalization
+// Note: Field names follow our best reading of the Candid API; adjust the
+// mapping functions below if your Candid plan returns a different shape.
+
+const fs = require('fs');
+const path = require('path');
+const { upstreamRequest } = require('./upstream-client');
+
+const CANDID_SEARCH_URL = 'https://api.candid.org/v1/grants/search';
+
+// CANDID_MODE=stub serves fixtures/candid/grants.json instead of calling Candid
+const CANDID_MODE = process.env.CANDID_MODE || 'live';
+const STUB_DIR = process.env.CANDID_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'candid');
+
+const DEFAULT_PAGE_SIZE = 25;
+const DEFAULT_MAX_PAGES = 4;
+const MAX_PAGE_SIZE = 100;
+// Every page is a paid call on someone's key
+const MAX_PAGES = 10;
+
+function isStubMode() {
+  return CANDID_MODE === 'stub';
+}
+
+// Validate search filters from a request body: { focusAreas, geographicScope,
+// grantSize: { min, max }, organizationType, query }. Returns the filters
+// given; throws with a user-facing message.
+function resolveSearchFilters(body = {}) {
+  const filters = {};
+
+  if (body.focusAreas !== undefined && body.focusAreas !== null) {
+    if (!Array.isArray(body.focusAreas) || body.focusAreas.some(area => typeof area !== 'string')) {
+      throw new Error('focusAreas must be a list of strings');
+    }
+    filters.focusAreas = body.focusAreas;
+  }
+
+  for (const field of ['geographicScope', 'organizationType', 'query']) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      if (typeof body[field] !== 'string') {
+        throw new Error(`${field} must be a string`);
+      }
+      filters[field] = body[field];
+    }
+  }
+
+  if (body.grantSize !== undefined && body.grantSize !== null) {
+    if (typeof body.grantSize !== 'object' || Array.isArray(body.grantSize)) {
+      throw new Error('grantSize must be an object like { "min": 5000, "max": 50000 }');
+    }
+    for (const bound of ['min', 'max']) {
+      const value = body.grantSize[bound];
+      if (value !== undefined && value !== null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        throw new Error(`grantSize.${bound} must be a non-negative number`);
+      }
+    }
+    filters.grantSize = body.grantSize;
+  }
+
+  return filters;
+}
+
+// Map our filter names onto Candid query parameters
+function mapFilters(filters = {}) {
+  const params = {};
+
+  if (filters.focusAreas && filters.focusAreas.length > 0) {
+    params.focus_areas = filters.focusAreas.join(',');
+  }
+  if (filters.geographicScope) {
+    params.geographic_scope = filters.geographicScope;
+  }
+  if (filters.grantSize?.min !== undefined && filters.grantSize?.min !== null) {
+    params.min_amount = filters.grantSize.min;
+  }
+  if (filters.grantSize?.max !== undefined && filters.grantSize?.max !== null) {
+    params.max_amount = filters.grantSize.max;
+  }
+  if (filters.organizationType) {
+    params.organization_type = filters.organizationType;
+  }
+  if (filters.query) {
+    params.q = filters.query;
+  }
+
+  return params;
+}
+
+// Fetch one page of raw results
+async function fetchPage(params, page, pageSize, apiKey, signal) {
+  if (isStubMode()) {
+    signal?.throwIfAborted();
+    return readStubPage(params, page, pageSize);
+  }
+
+  const response = await upstreamRequest('candid', {
+    method: 'get',
+    url: CANDID_SEARCH_URL,
+    params: { ...params, page, limit: pageSize },
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    signal
+  });
+  return response.data;
+}
+
+// Filter and page the fixture file roughly the way Candid would
+function readStubPage(params, page, pageSize) {
+  const { grants } = JSON.parse(fs.readFileSync(path.join(STUB_DIR, 'grants.json'), 'utf8'));
+  const focusAreas = params.focus_areas ? params.focus_areas.split(',') : [];
+
+  const matches = grants.filter(grant => {
+    if (focusAreas.length > 0 && !toList(grant.focus_areas).some(area => focusAreas.includes(area))) {
+      return false;
+    }
+    if (params.min_amount !== undefined && toNumber(grant.amount_max ?? grant.amount) < params.min_amount) {
+      return false;
+    }
+    if (params.max_amount !== undefined && toNumber(grant.amount_min ?? grant.amount) > params.max_amount) {
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    grants: matches.slice((page - 1) * pageSize, page * pageSize),
+    total: matches.length,
+    page
+  };
+}
+
+// Search Candid, following pages until results run out or maxPages (at most
+// MAX_PAGES) is hit. Returns { grants, funders, total, pagesFetched } in our
+// normalized schema. Aborting `signal` stops between or during pages.
+async function searchGrants(filters, { apiKey, pageSize = DEFAULT_PAGE_SIZE, maxPages = DEFAULT_MAX_PAGES, signal = null } = {}) {
+  if (!apiKey && !isStubMode()) {
+    throw new Error('Candid API key is not configured');
+  }
+
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pages = Math.min(Math.max(parseInt(maxPages, 10) || DEFAULT_MAX_PAGES, 1), MAX_PAGES);
+  const params = mapFilters(filters);
+
+  const rawGrants = [];
+  let total = null;
+  let pagesFetched = 0;
+
+  for (let page = 1; page <= pages; page++) {
+    const data = await fetchPage(params, page, size, apiKey, signal);
+    const results = extractResults(data);
+    pagesFetched++;
+
+    rawGrants.push(...results);
+    total = data.total ?? data.total_count ?? data.meta?.total ?? total;
+
+    const reachedEnd = results.length < size || (total !== null && rawGrants.length >= total);
+    if (reachedEnd) {
+      break;
+    }
+  }
+
+  const grants = rawGrants.map(normalizeGrant).filter(Boolean);
+
+  return {
+    grants,
+    funders: collectFunders(rawGrants),
+    total: total ?? grants.length,
+    pagesFetched
+  };
+}
+
+function extractResults(data) {
+  if (Array.isArray(data)) return data;
+  return data?.grants || data?.results || data?.data || [];
+}
+
+// ============================================
+// Normalization
+// ============================================
+
+// Candid grant record -> our grant schema (same fields as grant-extraction.js
+// plus source metadata)
+function normalizeGrant(raw) {
+  const funder = normalizeFunder(raw);
+  if (!funder.name) {
+    return null;
+  }
+
+  const programName = firstString(raw.program_name, raw.title) || 'General support';
+
+  const amount = toNumber(raw.amount);
+
+  return {
+    source: 'candid',
+    sourceId: raw.id !== undefined ? String(raw.id) : null,
+    funder: funder.name,
+    funderEin: funder.ein,
+    programName,
+    amountMin: toNumber(raw.amount_min ?? raw.min_amount) ?? amount,
+    amountMax: toNumber(raw.amount_max ?? raw.max_amount) ?? amount,
+    currency: firstString(raw.currency, 'USD').toUpperCase(),
+    deadline: toIsoDate(raw.deadline ?? raw.application_deadline),
+    eligibility: firstString(raw.eligibility, raw.eligibility_requirements, ''),
+    url: firstString(raw.url, raw.website, funder.url) || null,
+    rationale: '',
+    description: firstString(raw.description, raw.purpose, ''),
+    focusAreas: toList(raw.focus_areas ?? raw.subjects),
+    geographicScope: firstString(raw.geographic_scope, raw.geographic_area, '') || null
+  };
+}
+
+// Funders come either nested ({ funder: { name, ein } }) or flat (funder_name)
+function normalizeFunder(raw) {
+  const nested = typeof raw.funder === 'object' && raw.funder !== null ? raw.funder : {};
+  return {
+    name: firstString(nested.name, raw.funder_name, typeof raw.funder === 'string' ? raw.funder : null),
+    ein: normalizeEin(nested.ein ?? raw.funder_ein),
+    city: firstString(nested.city, raw.funder_city) || null,
+    state: firstString(nested.state, raw.funder_state) || null,
+    url: firstString(nested.url, nested.website) || null
+  };
+}
+
+// Unique funders across the result set, keyed by EIN when known
+function collectFunders(rawGrants) {
+  const funders = new Map();
+  for (const raw of rawGrants) {
+    const funder = normalizeFunder(raw);
+    if (!funder.name) continue;
+    const key = funder.ein || funder.name.toLowerCase();
+    const existing = funders.get(key);
+    if (existing) {
+      existing.grantCount++;
+    } else {
+      funders.set(key, { ...funder, grantCount: 1 });
+    }
+  }
+  return [...funders.values()];
+}
+
+function firstString(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim();
+    }
+  }
+  return values.includes('') ? '' : null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'string' ? Number(value.replace(/[$,\s]/g, '')) : Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string' && value) return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+function normalizeEin(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 9 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : null;
+}
+
+module.exports = { searchGrants, resolveSearchFilters, mapFilters, normalizeGrant, isStubMode };
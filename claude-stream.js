@@ -0,0 +1,110 @@
+// claude-stream.js
+// Streams a Claude Messages API call and reassembles the final message
+
+const { StringDecoder } = require('string_decoder');
+const { upstreamRequest, createUpstreamError, toUpstreamError, isUpstreamError } = require('./upstream-client');
+
+// POST a Messages request with stream: true to `url` (llm-provider.js passes
+// ANTHROPIC_MESSAGES_URL). onDelta receives each piece of model output as it
+// arrives (text, or raw JSON for tool input). Resolves with a message shaped
+// like the non-streaming response, so extractGrants() works on it unchanged.
+// Pass an AbortSignal to cancel the upstream request.
+// Failures before the stream starts are retried by upstream-client.js; a
+// connection lost mid-stream rejects with the same UpstreamError codes.
+async function streamClaudeMessage(url, body, headers, { signal, onDelta } = {}) {
+  const response = await upstreamRequest('anthropic', {
+    method: 'post',
+    url,
+    data: { ...body, stream: true },
+    headers,
+    signal,
+    responseType: 'stream'
+  });
+
+  const message = { content: [], usage: {} };
+  const partialJson = {};
+  let buffer = '';
+
+  function handleEvent(event) {
+    switch (event.type) {
+      case 'message_start':
+        Object.assign(message, event.message, { content: [] });
+        break;
+
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        if (event.content_block.type === 'tool_use') {
+          partialJson[event.index] = '';
+        }
+        break;
+
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (event.delta.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+          onDelta?.(event.delta.text, 'text');
+        } else if (event.delta.type === 'input_json_delta') {
+          partialJson[event.index] += event.delta.partial_json;
+          onDelta?.(event.delta.partial_json, 'tool_input');
+        }
+        break;
+      }
+
+      case 'content_block_stop':
+        if (event.index in partialJson) {
+          message.content[event.index].input = JSON.parse(partialJson[event.index] || '{}');
+        }
+        break;
+
+      case 'message_delta':
+        Object.assign(message, event.delta);
+        Object.assign(message.usage, event.usage);
+        break;
+
+      // Mid-stream errors can't be retried; an overload is reported as such
+      case 'error':
+        throw createUpstreamError(
+          event.error?.type === 'overloaded_error' ? 'UPSTREAM_UNAVAILABLE' : 'UPSTREAM_ERROR',
+          `Claude stream failed: ${event.error?.message || 'unknown error'}`,
+          { service: 'anthropic' }
+        );
+    }
+  }
+
+  // A character can be split across chunks; the decoder holds its first
+  // bytes back until the rest arrive
+  const decoder = new StringDecoder('utf8');
+  try {
+    for await (const chunk of response.data) {
+      buffer += decoder.write(chunk);
+
+      // SSE events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('');
+
+        if (data) {
+          handleEvent(JSON.parse(data));
+        }
+      }
+    }
+  } catch (error) {
+    // A connection lost mid-stream is reported like a failed request; a
+    // cancel stays a cancel
+    if (isUpstreamError(error) || signal?.aborted) {
+      throw error;
+    }
+    throw await toUpstreamError('anthropic', error);
+  }
+
+  return message;
+}
+
+module.exports = { streamClaudeMessage };
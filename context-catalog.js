@@ -0,0 +1,196 @@
+// context-catalog.js
+// The context parameter catalog: the checkboxes the browser shows, the text
+// each adds to the prompt, and the Candid / Grants.gov filters it maps to
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_FILE = process.env.CONTEXT_CATALOG_FILE || path.join(__dirname, 'context-catalog.json');
+
+// Fit-scoring factors a category can feed (see fit-scoring.js)
+const SCORING_ROLES = ['orgType', 'focus', 'fundingType', 'geography'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Cached on the file's mtime, so edits are picked up without a restart. A
+// broken edit keeps the last good catalog and logs why.
+let cache = null;
+let cachedMtime = null;
+
+function getCatalog() {
+  let mtime;
+  try {
+    mtime = fs.statSync(CATALOG_FILE).mtimeMs;
+  } catch (error) {
+    throw new Error(`Context catalog not found at ${CATALOG_FILE}`);
+  }
+  if (cache && mtime === cachedMtime) {
+    return cache;
+  }
+
+  try {
+    cache = validateCatalog(JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')));
+  } catch (error) {
+    if (!cache) {
+      throw new Error(`Invalid context catalog ${CATALOG_FILE}: ${error.message}`);
+    }
+    console.error(`Ignoring invalid context catalog edit: ${error.message}`);
+  }
+  cachedMtime = mtime;
+  return cache;
+}
+
+// Normalize the file's contents, throwing on anything the app can't use
+function validateCatalog(raw) {
+  if (!raw || !Array.isArray(raw.categories)) {
+    throw new Error('"categories" must be an array');
+  }
+
+  const seen = new Set();
+  const categories = raw.categories.map((category, index) => {
+    const where = `categories[${index}]`;
+    requireId(category.id, where, seen);
+    requireText(category.label, `${where}.label`);
+    if (category.scoring && !SCORING_ROLES.includes(category.scoring)) {
+      throw new Error(`${where}.scoring must be one of ${SCORING_ROLES.join(', ')}`);
+    }
+    if (!Array.isArray(category.parameters)) {
+      throw new Error(`${where}.parameters must be an array`);
+    }
+
+    return {
+      id: category.id,
+      label: category.label,
+      open: Boolean(category.open),
+      scoring: category.scoring || null,
+      parameters: category.parameters.map((param, paramIndex) => {
+        const paramWhere = `${where}.parameters[${paramIndex}]`;
+        requireId(param.id, paramWhere, seen);
+        requireText(param.label, `${paramWhere}.label`);
+
+        return {
+          id: param.id,
+          label: param.label,
+          description: param.description || '',
+          prompt: param.prompt || `${param.label}: ${param.description || ''}`.trim(),
+          keywords: toStrings(param.keywords).map(keyword => keyword.toLowerCase()),
+          candid: {
+            focusAreas: toStrings(param.candid?.focusAreas)
+          },
+          grantsGov: {
+            categories: toStrings(param.grantsGov?.categories),
+            organizationType: param.grantsGov?.organizationType || null
+          }
+        };
+      })
+    };
+  });
+
+  return { categories };
+}
+
+function requireId(id, where, seen) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`${where}.id must be lowercase letters, digits and dashes`);
+  }
+  if (seen.has(id)) {
+    throw new Error(`Duplicate id "${id}" at ${where}`);
+  }
+  seen.add(id);
+}
+
+function requireText(value, where) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${where} is required`);
+  }
+}
+
+function toStrings(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : [];
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+function listParameters() {
+  return getCatalog().categories.flatMap(category =>
+    category.parameters.map(param => ({ ...param, category: category.id, scoring: category.scoring }))
+  );
+}
+
+// Turn the ids (or { id } objects) a client sent into catalog entries.
+// Unknown ids throw unless ignoreUnknown is set, e.g. for re-running saved
+// searches after the catalog changed.
+function resolveContextParameters(list, { ignoreUnknown = false } = {}) {
+  if (list === undefined || list === null) {
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('contextParameters must be an array');
+  }
+
+  const byId = new Map(listParameters().map(param => [param.id, param]));
+  const ids = [...new Set(list.map(item => (typeof item === 'string' ? item : item?.id)))];
+  const unknown = ids.filter(id => !byId.has(id));
+  if (unknown.length > 0 && !ignoreUnknown) {
+    throw new Error(`Unknown context parameter(s): ${unknown.join(', ')}`);
+  }
+
+  return ids.filter(id => byId.has(id)).map(id => {
+    const { label, description, prompt } = byId.get(id);
+    return { id, label, description, prompt };
+  });
+}
+
+// Context ids grouped by category, for tag filters on saved grants
+function tagGroups() {
+  return Object.fromEntries(getCatalog().categories.map(category => [
+    category.id,
+    category.parameters.map(param => param.id)
+  ]));
+}
+
+// Parameters in categories that feed one fit-scoring factor
+function scoringParameters(role) {
+  return listParameters().filter(param => param.scoring === role);
+}
+
+function candidFilters(ids) {
+  const selected = listParameters().filter(param => ids.includes(param.id));
+  return {
+    focusAreas: [...new Set(selected.flatMap(param => param.candid.focusAreas))]
+  };
+}
+
+function grantsGovFilters(ids) {
+  const selected = listParameters().filter(param => ids.includes(param.id));
+  return {
+    categories: [...new Set(selected.flatMap(param => param.grantsGov.categories))],
+    organizationType: selected.map(param => param.grantsGov.organizationType).find(Boolean) || null
+  };
+}
+
+// What the browser needs to render the checkboxes
+function publicCatalog() {
+  return {
+    categories: getCatalog().categories.map(category => ({
+      id: category.id,
+      label: category.label,
+      open: category.open,
+      parameters: category.parameters.map(({ id, label, description }) => ({ id, label, description }))
+    }))
+  };
+}
+
+module.exports = {
+  getCatalog,
+  validateCatalog,
+  listParameters,
+  resolveContextParameters,
+  tagGroups,
+  scoringParameters,
+  candidFilters,
+  grantsGovFilters,
+  publicCatalog
+};
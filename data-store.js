@@ -0,0 +1,141 @@
+// data-store.js
+// Small file-backed JSON stores so server state survives restarts
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// How long update() waits for another process's lock, and the age past which
+// a lock is taken to be left behind by a process that died holding it
+const LOCK_TIMEOUT_MS = 20 * 1000;
+const LOCK_STALE_MS = 15 * 1000;
+const LOCK_RETRY_MS = 10;
+
+// Each store is one JSON file, cached in memory and rewritten on every change.
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a truncated file behind. The cache is keyed on the
+// file's mtime, so edits made by the admin CLI are picked up by the server.
+// Writes hold <file>.lock, so the server and the CLI never both read, change
+// and write the file at once and lose one another's changes.
+function createJsonStore(name, defaults) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  const lockPath = `${filePath}.lock`;
+  let cache = null;
+  let cachedMtime = null;
+  let lockDepth = 0;
+
+  function read() {
+    const mtime = statMtime(filePath);
+    if (cache && mtime === cachedMtime) {
+      return cache;
+    }
+    try {
+      cache = { ...clone(defaults), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${filePath}: ${error.message}`);
+      }
+      cache = clone(defaults);
+    }
+    cachedMtime = mtime;
+    return cache;
+  }
+
+  function write(data) {
+    withLock(() => {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+      cache = data;
+      cachedMtime = statMtime(filePath);
+    });
+  }
+
+  // Apply a mutation to the current data and persist it; returns fn's result.
+  // The file is read under the lock, so changes other processes made are kept.
+  function update(fn) {
+    return withLock(() => {
+      const data = read();
+      const result = fn(data);
+      write(data);
+      return result;
+    });
+  }
+
+  // Run fn holding the lock file. Updates nested inside one already hold it.
+  function withLock(fn) {
+    if (lockDepth > 0) {
+      lockDepth++;
+      try {
+        return fn();
+      } finally {
+        lockDepth--;
+      }
+    }
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    acquireLock(lockPath);
+    lockDepth++;
+    try {
+      return fn();
+    } finally {
+      lockDepth--;
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return { read, write, update, filePath };
+}
+
+// Stores run synchronously, so waiting for a lock blocks too
+function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx', 0o600));
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const lockedAt = statMtime(lockPath);
+    if (lockedAt !== null && Date.now() - lockedAt > LOCK_STALE_MS) {
+      console.warn(`Removing stale lock ${lockPath}`);
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockPath}; delete it if no server or admin command is running`);
+    }
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+  }
+}
+
+// Stored maps are plain objects keyed by emails and ids that come from
+// requests. Only a map's own entries count, so "constructor" isn't found on
+// Object.prototype and "__proto__" is stored as a key, not as the prototype.
+function getEntry(map, key) {
+  return Object.hasOwn(map, key) ? map[key] : null;
+}
+
+function setEntry(map, key, value) {
+  Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+  return value;
+}
+
+function statMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createJsonStore, getEntry, setEntry, DATA_DIR };
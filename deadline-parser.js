@@ -0,0 +1,178 @@
+// deadline-parser.js
+// Turns free-text grant deadlines into dates: single dates, ranges, rolling
+// deadlines and multi-stage wording like "LOI due X, full proposal due Y"
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(?:,?\\s*(\\d{4}))?';
+
+// Tried in order at each position; the first match wins
+const DATE_PATTERNS = [
+  // 2027-03-01
+  { regex: /(\d{4})-(\d{2})-(\d{2})/y, parse: m => ({ year: +m[1], month: +m[2], day: +m[3] }) },
+  // 03/01/2027 (US order)
+  { regex: /(\d{1,2})\/(\d{1,2})\/(\d{4})/y, parse: m => ({ year: +m[3], month: +m[1], day: +m[2] }) },
+  // March 1-15, 2027 (a range inside one month)
+  {
+    regex: new RegExp(`${MONTH}\\s+${DAY}\\s*(?:-|–|—|to|through)\\s*${DAY}${YEAR}`, 'iy'),
+    parse: m => ({ year: m[4] ? +m[4] : null, month: MONTHS[m[1].toLowerCase()], day: +m[2], endDay: +m[3] })
+  },
+  // March 1, 2027 / Mar 1
+  {
+    regex: new RegExp(`${MONTH}\\s+${DAY}\\b${YEAR}`, 'iy'),
+    parse: m => ({ year: m[3] ? +m[3] : null, month: MONTHS[m[1].toLowerCase()], day: +m[2] })
+  },
+  // 1 March 2027
+  {
+    regex: new RegExp(`${DAY}\\s+${MONTH}\\b${YEAR}`, 'iy'),
+    parse: m => ({ year: m[3] ? +m[3] : null, month: MONTHS[m[2].toLowerCase()], day: +m[1] })
+  }
+];
+
+const ROLLING = /\b(rolling|ongoing|open until filled|year[- ]round|any ?time|no deadline|continuous)\b/i;
+const RANGE_JOINER = /^\s*(?:-|–|—|to|through|thru|until|and)\s*$/i;
+
+const KIND_KEYWORDS = [
+  { kind: 'loi', regex: /\b(loi|letters? of (?:inquiry|intent)|pre-?proposals?|concept papers?|inquir(?:y|ies))\b/i },
+  { kind: 'application', regex: /\b(full (?:proposals?|applications?)|proposals?|applications?)\b/i }
+];
+
+// Parse deadline wording. `today` (YYYY-MM-DD) decides the year for dates
+// written without one: the next occurrence on or after today.
+// Returns { rolling, deadlines: [{ kind, date, opensOn }] } where kind is
+// 'loi', 'application' or 'deadline', and opensOn is set for ranges.
+function parseDeadlineText(text, { today = new Date().toISOString().split('T')[0] } = {}) {
+  const source = typeof text === 'string' ? text : '';
+  const tokens = findDates(source);
+  fillMissingYears(tokens, today);
+
+  const deadlines = [];
+  let previousEnd = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lead = source.slice(previousEnd, token.start);
+    let start = toIso(token);
+    let end = token.endDay ? toIso({ ...token, day: token.endDay }) : start;
+    let last = token;
+
+    // "March 1 - April 15" and "between March 1 and April 15" are one window
+    const next = tokens[i + 1];
+    if (next && !token.endDay && RANGE_JOINER.test(source.slice(token.end, next.start))
+        && (!/\band\s*$/i.test(source.slice(token.end, next.start)) || /\bbetween\s*$/i.test(lead))) {
+      end = toIso(next);
+      last = next;
+      i++;
+    }
+
+    // An unreadable date leaves its lead-in for the next one
+    if (!start || !end) {
+      continue;
+    }
+    previousEnd = last.end;
+
+    deadlines.push({
+      kind: kindFor(lead),
+      date: end,
+      opensOn: start !== end ? start : null
+    });
+  }
+
+  return { rolling: ROLLING.test(source), deadlines };
+}
+
+// The final application date among parsed deadlines, for grants that only
+// have deadline wording
+function primaryDeadline(parsed) {
+  const finals = parsed.deadlines.filter(d => d.kind !== 'loi');
+  const pool = finals.length > 0 ? finals : parsed.deadlines;
+  return pool.length > 0 ? pool[pool.length - 1].date : null;
+}
+
+function findDates(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    let matched = false;
+    // Only start matching at word boundaries
+    if (index === 0 || /\W/.test(text[index - 1])) {
+      for (const pattern of DATE_PATTERNS) {
+        pattern.regex.lastIndex = index;
+        const match = pattern.regex.exec(text);
+        if (match) {
+          tokens.push({ ...pattern.parse(match), start: index, end: index + match[0].length });
+          index += match[0].length;
+          matched = true;
+          break;
+        }
+      }
+    }
+    if (!matched) {
+      index++;
+    }
+  }
+
+  return tokens;
+}
+
+// "March 1 - April 15, 2027": a yearless date borrows the next stated year if
+// that doesn't put it after the date that follows; otherwise it is the next
+// occurrence on or after today
+function fillMissingYears(tokens, today) {
+  const [thisYear] = today.split('-').map(Number);
+
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token.year) continue;
+
+    const next = tokens[i + 1];
+    if (next && next.year) {
+      const sameYear = { ...token, year: next.year };
+      token.year = toIso(sameYear) <= toIso(next) ? next.year : next.year - 1;
+      continue;
+    }
+
+    token.year = thisYear;
+    const lastDay = toIso({ ...token, day: token.endDay || token.day });
+    if (lastDay && lastDay < today) {
+      token.year = thisYear + 1;
+    }
+  }
+}
+
+function kindFor(lead) {
+  // The keyword closest to the date wins ("LOI due Jan 5, proposal due ...")
+  let best = { kind: 'deadline', position: -1 };
+  for (const { kind, regex } of KIND_KEYWORDS) {
+    const global = new RegExp(regex.source, 'gi');
+    let match;
+    while ((match = global.exec(lead)) !== null) {
+      // Compare end positions so "pre-proposal" stays an LOI, not a proposal
+      const position = match.index + match[0].length;
+      if (position > best.position) {
+        best = { kind, position };
+      }
+    }
+  }
+  return best.kind;
+}
+
+function toIso({ year, month, day }) {
+  if (!year || !month || !day) {
+    return null;
+  }
+  const value = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Reject dates like February 30 that Date silently rolls over
+  return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+}
+
+module.exports = { parseDeadlineText, primaryDeadline };
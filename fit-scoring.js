@@ -0,0 +1,344 @@
+// fit-scoring.js
+// Rates each grant 0-100 against the organization description and selected
+// context parameters, with a per-factor breakdown that explains the score
+
+const catalog = require('./context-catalog');
+
+// Factor weights add up to 100
+const FACTORS = [
+  { id: 'focus', label: 'Focus areas', weight: 30 },
+  { id: 'geography', label: 'Geography', weight: 15 },
+  { id: 'orgType', label: 'Organization type and age', weight: 15 },
+  { id: 'size', label: 'Grant size vs. budget', weight: 15 },
+  { id: 'deadline', label: 'Deadline feasibility', weight: 15 },
+  { id: 'fundingType', label: 'Funding type', weight: 10 }
+];
+
+const US_STATES = [
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+  'District of Columbia', 'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa',
+  'Kansas', 'Kentucky', 'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota',
+  'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey',
+  'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon',
+  'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah',
+  'Vermont', 'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+];
+
+// Grant text that mentions one of these is open across the country
+const NATIONAL_WORDS = /\b(national(?:ly)?|nationwide|united states|u\.s\.|across the us|all states)\b/i;
+
+// Grant size as a share of the organization's annual budget
+const IDEAL_BUDGET_SHARE = { min: 0.02, max: 0.25 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Organization profile
+// ============================================
+
+// What the scorer knows about the organization: selected context ids plus
+// focus areas, budget, founding year and states. A saved profile's fields win
+// over what can be read from the free-text description.
+function buildOrgProfile({ orgDescription, orgProfile, contextParameters } = {}, { today = todayIso() } = {}) {
+  const saved = orgProfile || {};
+  const description = [
+    typeof orgDescription === 'string' ? orgDescription : '',
+    saved.mission,
+    ...(saved.programs || []),
+    ...(saved.populations || [])
+  ].filter(Boolean).join('\n');
+  const contextIds = (contextParameters || []).map(ctx => (typeof ctx === 'string' ? ctx : ctx.id));
+  if (saved.serviceArea?.setting === 'rural') {
+    contextIds.push('rural');
+  }
+  const foundedYear = saved.yearFounded ?? readFoundedYear(description);
+  const thisYear = Number(today.slice(0, 4));
+  // Keywords in the catalog decide what each focus area and funding type means
+  const focusParams = catalog.scoringParameters('focus').filter(param => param.keywords.length > 0);
+  const fundingParams = catalog.scoringParameters('fundingType').filter(param => param.keywords.length > 0);
+
+  return {
+    focusAreas: focusParams
+      .filter(param => contextIds.includes(param.id) || matchesAny(description, param.keywords))
+      .map(param => ({ id: param.id, keywords: param.keywords })),
+    fundingTypes: fundingParams
+      .filter(param => contextIds.includes(param.id))
+      .map(param => ({ id: param.id, keywords: param.keywords })),
+    // Population and place priorities checked in the geography category
+    priorities: catalog.scoringParameters('geography')
+      .filter(param => contextIds.includes(param.id) && param.keywords.length > 0)
+      .map(param => ({ id: param.id, keywords: param.keywords })),
+    states: saved.serviceArea?.state ? findStates(saved.serviceArea.state) : findStates(description),
+    budget: saved.annualBudget ?? readBudget(description),
+    foundedYear,
+    isNew: contextIds.includes('new-org') || (foundedYear !== null && thisYear - foundedYear < 3),
+    is501c3: contextIds.includes('501c3') || /501\s*\(?c\)?\s*\(?3\)?/i.test(description),
+    isGrassroots: contextIds.includes('grassroots'),
+    today
+  };
+}
+
+// ============================================
+// Scoring
+// ============================================
+
+// Returns { score, factors: [{ id, label, weight, points, reason }], reason }
+function scoreGrant(grant, profile) {
+  const text = grantText(grant);
+  const results = {
+    focus: scoreFocus(text, grant, profile),
+    geography: scoreGeography(grant, profile),
+    orgType: scoreOrgType(grant, profile),
+    size: scoreSize(grant, profile),
+    deadline: scoreDeadline(grant, profile),
+    fundingType: scoreFundingType(text, profile)
+  };
+
+  const factors = FACTORS.map(({ id, label, weight }) => ({
+    id,
+    label,
+    weight,
+    points: Math.round(results[id].ratio * weight),
+    reason: results[id].reason
+  }));
+  const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+
+  return { score, factors, reason: summarize(score, factors) };
+}
+
+// Attach `fit` to each grant and sort best first. Ties keep their original order.
+// `input` is { orgDescription, orgProfile, contextParameters }.
+function rankGrants(grants, input = {}, options = {}) {
+  const profile = buildOrgProfile(input, options);
+  return grants
+    .map((grant, index) => ({ grant: { ...grant, fit: scoreGrant(grant, profile) }, index }))
+    .sort((a, b) => b.grant.fit.score - a.grant.fit.score || a.index - b.index)
+    .map(entry => entry.grant);
+}
+
+function scoreFocus(text, grant, profile) {
+  if (profile.focusAreas.length === 0) {
+    return { ratio: 0.5, reason: 'No focus areas selected' };
+  }
+
+  const matched = profile.focusAreas
+    .filter(area => (grant.focusAreas || []).includes(area.id) || matchesAny(text, area.keywords))
+    .map(area => area.id);
+  if (matched.length === 0) {
+    return { ratio: 0, reason: `No overlap with ${profile.focusAreas.map(area => area.id).join(', ')}` };
+  }
+  return {
+    ratio: 0.5 + 0.5 * (matched.length / profile.focusAreas.length),
+    reason: `Matches ${matched.join(', ')}`
+  };
+}
+
+function scoreGeography(grant, profile) {
+  const scope = `${grant.geographicScope || ''} ${grant.eligibility || ''}`;
+  const grantStates = findStates(scope);
+
+  // Rural and community-of-focus preferences count when both sides mention them
+  const priorities = profile.priorities
+    .filter(priority => matchesAny(grantText(grant), priority.keywords))
+    .map(priority => priority.id);
+  const bonus = priorities.length > 0 ? `; serves ${priorities.join(', ')} communities` : '';
+
+  if (grantStates.length > 0) {
+    const shared = grantStates.filter(state => profile.states.includes(state));
+    if (shared.length > 0) {
+      return { ratio: 1, reason: `Serves ${shared.join(', ')}${bonus}` };
+    }
+    if (profile.states.length > 0) {
+      return { ratio: 0, reason: `Limited to ${grantStates.join(', ')}` };
+    }
+    return { ratio: 0.5, reason: `Limited to ${grantStates.join(', ')}; organization location unknown` };
+  }
+
+  if (NATIONAL_WORDS.test(scope)) {
+    return { ratio: priorities.length > 0 ? 1 : 0.8, reason: `Open nationally${bonus}` };
+  }
+  return { ratio: priorities.length > 0 ? 0.9 : 0.7, reason: `No geographic restriction stated${bonus}` };
+}
+
+function scoreOrgType(grant, profile) {
+  const eligibility = (grant.eligibility || '').toLowerCase();
+
+  if (/501\s*\(?c\)?\s*\(?3\)?/.test(eligibility) && !profile.is501c3) {
+    // The description may simply not say so, so this isn't a hard zero
+    return { ratio: 0.2, reason: 'Requires 501(c)(3) status, not confirmed for this organization' };
+  }
+  if (/\b(government|public agenc|municipal|universit|school district|tribal government)/.test(eligibility)
+      && !/nonprofit|501|community/.test(eligibility)) {
+    return { ratio: 0.2, reason: 'Aimed at public agencies or institutions' };
+  }
+
+  const minYears = eligibility.match(/\b(?:at least|minimum of|more than)\s+(\w+)\s+years?\b/);
+  if (minYears && profile.isNew) {
+    return { ratio: 0.1, reason: `Requires ${minYears[1]}+ years of operation` };
+  }
+
+  if (profile.isNew && /\b(new|emerging|start-?up|newly|early[- ]stage)\b/.test(`${eligibility} ${(grant.rationale || '').toLowerCase()}`)) {
+    return { ratio: 1, reason: 'Welcomes new organizations' };
+  }
+  if (profile.isGrassroots && /\b(grassroots|community-based|small|volunteer)\b/.test(`${eligibility} ${(grant.rationale || '').toLowerCase()}`)) {
+    return { ratio: 1, reason: 'Suited to grassroots groups' };
+  }
+  if (/501\s*\(?c\)?\s*\(?3\)?|nonprofit/.test(eligibility)) {
+    return { ratio: 0.9, reason: 'Open to nonprofits' };
+  }
+  return { ratio: 0.7, reason: eligibility ? 'Eligibility does not name an organization type' : 'Eligibility not stated' };
+}
+
+function scoreSize(grant, profile) {
+  // "budgets under $2M" in eligibility is a hard ceiling
+  const ceiling = readBudgetCeiling(grant.eligibility || '');
+  if (ceiling !== null && profile.budget !== null && profile.budget > ceiling) {
+    return { ratio: 0, reason: `Budget over the ${formatMoney(ceiling)} limit` };
+  }
+
+  const amount = grant.amountMax ?? grant.amountMin;
+  if (amount === null || amount === undefined) {
+    return { ratio: 0.5, reason: 'Award size not stated' };
+  }
+  if (profile.budget === null) {
+    return { ratio: 0.5, reason: 'Budget not in the organization description' };
+  }
+
+  const share = amount / profile.budget;
+  const percent = `${Math.round(share * 100)}% of budget`;
+  if (share > 0.5) {
+    return { ratio: 0.3, reason: `Up to ${percent}; hard to absorb` };
+  }
+  if (share > IDEAL_BUDGET_SHARE.max) {
+    return { ratio: 0.7, reason: `Up to ${percent}; large relative to budget` };
+  }
+  if (share < IDEAL_BUDGET_SHARE.min) {
+    return { ratio: 0.5, reason: `Under ${IDEAL_BUDGET_SHARE.min * 100}% of budget; small for the effort` };
+  }
+  return { ratio: 1, reason: `Up to ${percent}` };
+}
+
+function scoreDeadline(grant, profile) {
+  if (!grant.deadline) {
+    return /rolling|ongoing|open/i.test(grant.deadlineNotes || '')
+      ? { ratio: 0.9, reason: 'Rolling deadline' }
+      : { ratio: 0.7, reason: 'No deadline stated' };
+  }
+
+  const days = Math.round((Date.parse(grant.deadline) - Date.parse(profile.today)) / DAY_MS);
+  if (days < 0) {
+    return { ratio: 0, reason: `Deadline passed ${-days} days ago` };
+  }
+  if (days < 14) {
+    return { ratio: 0.3, reason: `Due in ${days} days` };
+  }
+  if (days < 30) {
+    return { ratio: 0.7, reason: `Due in ${days} days` };
+  }
+  return { ratio: 1, reason: `Due in ${days} days` };
+}
+
+function scoreFundingType(text, profile) {
+  if (profile.fundingTypes.length === 0) {
+    return { ratio: 0.5, reason: 'No funding type selected' };
+  }
+
+  const matched = profile.fundingTypes.filter(type => matchesAny(text, type.keywords)).map(type => type.id);
+  return matched.length > 0
+    ? { ratio: 1, reason: `Offers ${matched.join(', ')} support` }
+    : { ratio: 0.2, reason: `No sign of ${profile.fundingTypes.map(type => type.id).join(', ')} support` };
+}
+
+// One line: the overall band, the strongest factor and the weakest if it hurt
+function summarize(score, factors) {
+  const byRatio = [...factors].sort((a, b) => b.points / b.weight - a.points / a.weight);
+  const best = byRatio[0];
+  const worst = byRatio[byRatio.length - 1];
+  const band = score >= 75 ? 'Strong fit' : score >= 50 ? 'Possible fit' : 'Weak fit';
+
+  let reason = `${band}: ${lowerFirst(best.reason)}`;
+  if (worst.points / worst.weight < 0.5) {
+    reason += `, but ${lowerFirst(worst.reason)}`;
+  }
+  return reason;
+}
+
+// ============================================
+// Text helpers
+// ============================================
+
+function grantText(grant) {
+  return [
+    grant.programName,
+    grant.funder,
+    grant.description,
+    grant.eligibility,
+    grant.rationale,
+    ...(grant.focusAreas || [])
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+function matchesAny(text, keywords) {
+  const lower = text.toLowerCase();
+  return keywords.some(keyword => new RegExp(`\\b${escapeRegex(keyword)}`).test(lower));
+}
+
+// "Virginia" shouldn't also count as "West Virginia"
+function findStates(text) {
+  let remaining = text;
+  const found = [];
+  for (const state of [...US_STATES].sort((a, b) => b.length - a.length)) {
+    const regex = new RegExp(`\\b${state}\\b`, 'i');
+    if (regex.test(remaining)) {
+      found.push(state);
+      remaining = remaining.replace(new RegExp(`\\b${state}\\b`, 'gi'), ' ');
+    }
+  }
+  return found;
+}
+
+const MONEY = '\\$\\s?([\\d,.]+)\\s*(k|m|mm|million|thousand)?\\b';
+
+// "$850,000 annual budget", "budget of $1.2 million"
+function readBudget(description) {
+  const match = description.match(new RegExp(`budget[^.$]{0,40}?${MONEY}`, 'i'))
+    || description.match(new RegExp(`${MONEY}\\s+(?:annual |operating |yearly )?budget`, 'i'));
+  return match ? toDollars(match[1], match[2]) : null;
+}
+
+function readBudgetCeiling(eligibility) {
+  const match = eligibility.match(new RegExp(`budgets?\\s+(?:under|below|less than|of less than|up to)\\s+${MONEY}`, 'i'));
+  return match ? toDollars(match[1], match[2]) : null;
+}
+
+function readFoundedYear(description) {
+  const match = description.match(/\b(?:founded|established|incorporated|started)\s+(?:in\s+)?(\d{4})\b/i);
+  return match ? Number(match[1]) : null;
+}
+
+function toDollars(number, unit) {
+  const value = Number(number.replace(/,/g, ''));
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6 }[(unit || '').toLowerCase()] || 1;
+  return value * multiplier;
+}
+
+function formatMoney(amount) {
+  return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function todayIso() {
+  return new Date().toISOString().split('T')[0];
+}
+
+module.exports = { buildOrgProfile, scoreGrant, rankGrants, findStates, FACTORS, NATIONAL_WORDS };
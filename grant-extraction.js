@@ -0,0 +1,153 @@
+// grant-extraction.js
+// Schema-constrained grant extraction from Claude responses (tool use)
+
+const { parseDeadlineText, primaryDeadline } = require('./deadline-parser');
+
+// Claude is forced to call this tool, so its input is our structured result
+const GRANT_TOOL_NAME = 'record_grant_opportunities';
+
+const GRANT_TOOL = {
+  name: GRANT_TOOL_NAME,
+  description: 'Record the grant opportunities found for the organization, one entry per funding opportunity, plus a short narrative summary of the research.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'Narrative overview of the findings and any recommended next steps'
+      },
+      grants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            funder: { type: 'string', description: 'Name of the foundation, agency or company awarding the grant' },
+            programName: { type: 'string', description: 'Name of the grant program or opportunity' },
+            amountMin: { type: ['number', 'null'], description: 'Smallest typical award as a plain number, no currency symbols' },
+            amountMax: { type: ['number', 'null'], description: 'Largest typical award as a plain number, no currency symbols' },
+            currency: { type: 'string', description: 'ISO 4217 currency code, e.g. USD' },
+            deadline: { type: ['string', 'null'], description: 'Next application deadline as an ISO date (YYYY-MM-DD), or null if rolling/unknown' },
+            deadlineNotes: { type: ['string', 'null'], description: 'Deadline wording as the funder publishes it, e.g. "LOI due January 15, 2027, full proposal due March 1, 2027" or "Rolling"' },
+            eligibility: { type: 'string', description: 'Key eligibility requirements' },
+            url: { type: ['string', 'null'], description: 'Official program or funder URL' },
+            rationale: { type: 'string', description: 'Why this grant fits the organization' }
+          },
+          required: ['funder', 'programName', 'amountMin', 'amountMax', 'currency', 'deadline', 'eligibility', 'url', 'rationale']
+        }
+      }
+    },
+    required: ['summary', 'grants']
+  }
+};
+
+// Request fields that make Claude answer through the grant tool
+const GRANT_TOOL_REQUEST = {
+  tools: [GRANT_TOOL],
+  tool_choice: { type: 'tool', name: GRANT_TOOL_NAME }
+};
+
+// Pull the summary and validated grants out of a Messages API response
+function extractGrants(responseData) {
+  const blocks = (responseData && responseData.content) || [];
+  const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === GRANT_TOOL_NAME);
+
+  // Fall back to any plain text so the caller still has something to show
+  const text = blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+
+  if (!toolUse || !toolUse.input) {
+    return { summary: text, grants: [], rejected: 0 };
+  }
+
+  const rawGrants = Array.isArray(toolUse.input.grants) ? toolUse.input.grants : [];
+  const grants = [];
+  let rejected = 0;
+
+  for (const raw of rawGrants) {
+    const grant = validateGrant(raw);
+    if (grant) {
+      grants.push(grant);
+    } else {
+      rejected++;
+    }
+  }
+
+  return {
+    summary: typeof toolUse.input.summary === 'string' ? toolUse.input.summary : text,
+    grants,
+    rejected
+  };
+}
+
+// Normalize one grant; returns null when the required identity fields are missing
+function validateGrant(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const funder = cleanString(raw.funder);
+  const programName = cleanString(raw.programName);
+
+  if (!funder || !programName) {
+    return null;
+  }
+
+  let amountMin = toAmount(raw.amountMin);
+  let amountMax = toAmount(raw.amountMax);
+  if (amountMin !== null && amountMax !== null && amountMin > amountMax) {
+    [amountMin, amountMax] = [amountMax, amountMin];
+  }
+
+  const currency = cleanString(raw.currency).toUpperCase();
+
+  // Fall back to the published wording when there is no ISO deadline
+  const deadlineNotes = cleanString(raw.deadlineNotes) || null;
+  const deadline = toIsoDate(raw.deadline) || primaryDeadline(parseDeadlineText(deadlineNotes));
+
+  return {
+    funder,
+    programName,
+    amountMin,
+    amountMax,
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : 'USD',
+    deadline,
+    deadlineNotes,
+    eligibility: cleanString(raw.eligibility),
+    url: toUrl(raw.url),
+    rationale: cleanString(raw.rationale)
+  };
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function toAmount(value) {
+  const number = typeof value === 'string' ? Number(value.replace(/[$,\s]/g, '')) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function toIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  // Reject dates like 2026-02-31 that Date silently rolls over
+  return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+}
+
+function toUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { GRANT_TOOL, GRANT_TOOL_REQUEST, extractGrants, validateGrant };
@@ -0,0 +1,273 @@
+// grant-matching.js
+// Entity resolution for grant records: fuzzy matching on funder, EIN, program
+// and deadline with a confidence score, and merging matched records into one
+// canonical record that remembers which source supplied each field
+
+const { parseDeadlineText } = require('./deadline-parser');
+
+function envThreshold(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : fallback;
+}
+
+// Pairs at or above MATCH_THRESHOLD are merged automatically; pairs between
+// REVIEW_THRESHOLD and it are queued for someone to decide
+const MATCH_THRESHOLD = envThreshold('GRANT_MATCH_THRESHOLD', 0.85);
+const REVIEW_THRESHOLD = Math.min(envThreshold('GRANT_REVIEW_THRESHOLD', 0.65), MATCH_THRESHOLD);
+
+// How much each signal counts. Deadline only counts when both records have one.
+const WEIGHTS = { funder: 0.4, program: 0.45, deadline: 0.15 };
+
+// Below this the funders are different organizations, whatever the programs say
+const MIN_FUNDER_SIMILARITY = 0.5;
+
+// Deadlines this many days apart still half-count (a date moved, or one
+// source gives the LOI date and the other the proposal date)
+const NEAR_DEADLINE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ABBREVIATIONS = {
+  fdn: 'foundation',
+  fndn: 'foundation',
+  assn: 'association',
+  assoc: 'association',
+  natl: 'national',
+  intl: 'international',
+  cmty: 'community',
+  comm: 'community',
+  dept: 'department',
+  ctr: 'center',
+  centre: 'center',
+  svcs: 'services',
+  us: 'united states',
+  usa: 'united states'
+};
+
+// Words that don't tell two funders or two programs apart
+const FUNDER_NOISE = new Set(['the', 'of', 'and', 'inc', 'incorporated', 'llc', 'ltd', 'co', 'corp', 'corporation', 'company']);
+
+// Words so common in funder names that sharing them means little: "Ford
+// Foundation" and "Gates Foundation" are compared as "ford" and "gates"
+const FUNDER_GENERIC = new Set(['foundation', 'fund', 'trust', 'charitable', 'giving', 'philanthropy', 'philanthropies']);
+const PROGRAM_NOISE = new Set([
+  'the', 'a', 'an', 'of', 'for', 'and', 'to', 'in',
+  'grant', 'grants', 'program', 'programs', 'award', 'awards', 'funding', 'opportunity', 'opportunities'
+]);
+
+// Fields of a stored grant record, and which sources are trusted first for
+// each. Databases know funders, amounts and dates; only Claude writes a rationale.
+const MERGED_FIELDS = [
+  'funder', 'funderEin', 'programName', 'amountMin', 'amountMax', 'currency', 'deadline',
+  'deadlineNotes', 'eligibility', 'url', 'rationale', 'description', 'geographicScope'
+];
+const AMOUNT_FIELDS = ['amountMin', 'amountMax', 'currency'];
+const SOURCE_PRIORITY = ['grants.gov', 'candid', 'claude'];
+const FIELD_PRIORITY = { rationale: ['claude'] };
+
+// ============================================
+// Matching
+// ============================================
+
+function normalizeName(text, noise) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ')
+    .split(' ')
+    .filter(word => !noise.has(word))
+    .join(' ');
+}
+
+function normalizeFunder(name) {
+  return normalizeName(name, FUNDER_NOISE);
+}
+
+function normalizeProgram(name) {
+  return normalizeName(name, PROGRAM_NOISE);
+}
+
+// 0-1: the better of character-bigram overlap (catches typos and small
+// rewordings) and word containment (catches dropped words, like "Sample
+// Foundation" for "Sample Family Foundation")
+function similarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const aWords = new Set(a.split(' '));
+  const bWords = new Set(b.split(' '));
+  const shared = [...aWords].filter(word => bWords.has(word)).length;
+  const fewer = Math.min(aWords.size, bWords.size);
+  // A single shared word ("health") is too little to go on
+  const containment = fewer >= 2 ? shared / fewer : 0;
+
+  return Math.max(diceCoefficient(a, b), containment * 0.9);
+}
+
+// Similarity of the distinctive part of two funder names, when both have one
+function funderSimilarity(a, b) {
+  const distinctive = name => name.split(' ').filter(word => !FUNDER_GENERIC.has(word)).join(' ');
+  return distinctive(a) && distinctive(b) ? similarity(distinctive(a), distinctive(b)) : similarity(a, b);
+}
+
+function diceCoefficient(a, b) {
+  const aBigrams = bigrams(a);
+  const bBigrams = bigrams(b);
+  if (aBigrams.length === 0 || bBigrams.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  aBigrams.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let overlap = 0;
+  for (const pair of bBigrams) {
+    if (counts.get(pair) > 0) {
+      counts.set(pair, counts.get(pair) - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (aBigrams.length + bBigrams.length);
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Every date a grant gives: its deadline and any in its deadline wording
+function deadlineDates(grant) {
+  const dates = new Set(parseDeadlineText(grant.deadlineNotes || '').deadlines.map(deadline => deadline.date));
+  if (grant.deadline) {
+    dates.add(grant.deadline);
+  }
+  return [...dates];
+}
+
+// 1 when the grants share a date, 0.5 when they're close, 0 when apart; null
+// when either has none
+function deadlineScore(a, b) {
+  const aDates = deadlineDates(a);
+  const bDates = deadlineDates(b);
+  if (aDates.length === 0 || bDates.length === 0) {
+    return null;
+  }
+
+  const gap = Math.min(...aDates.flatMap(x => bDates.map(y => Math.abs(Date.parse(x) - Date.parse(y)) / DAY_MS)));
+  return gap === 0 ? 1 : gap <= NEAR_DEADLINE_DAYS ? 0.5 : 0;
+}
+
+// How likely two grant records are the same opportunity. Returns
+// { confidence, scores: { funder, ein, program, deadline } }, confidence 0-1.
+function compareGrants(a, b) {
+  const none = scores => ({ confidence: 0, scores });
+
+  // One database doesn't list the same opportunity under two ids
+  if (a.source === b.source && a.sourceId && b.sourceId) {
+    return a.sourceId === b.sourceId ? { confidence: 1, scores: { sourceId: 'match' } } : none({ sourceId: 'mismatch' });
+  }
+
+  let ein = null;
+  if (a.funderEin && b.funderEin) {
+    ein = a.funderEin === b.funderEin ? 'match' : 'mismatch';
+    if (ein === 'mismatch') {
+      return none({ ein });
+    }
+  }
+
+  const funder = ein === 'match' ? 1 : funderSimilarity(normalizeFunder(a.funder), normalizeFunder(b.funder));
+  if (funder < MIN_FUNDER_SIMILARITY) {
+    return none({ funder: round(funder), ein });
+  }
+  const program = similarity(normalizeProgram(a.programName), normalizeProgram(b.programName));
+  const deadline = deadlineScore(a, b);
+  const scores = { funder: round(funder), ein, program: round(program), deadline };
+
+  const weights = deadline === null ? WEIGHTS.funder + WEIGHTS.program : 1;
+  const total = funder * WEIGHTS.funder + program * WEIGHTS.program + (deadline || 0) * WEIGHTS.deadline;
+  return { confidence: round(total / weights), scores };
+}
+
+// The closest of `candidates` to `grant`: { grant, confidence, scores }, or
+// null when none reaches REVIEW_THRESHOLD
+function bestMatch(grant, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    const { confidence, scores } = compareGrants(grant, candidate);
+    if (confidence >= REVIEW_THRESHOLD && (!best || confidence > best.confidence)) {
+      best = { grant: candidate, confidence, scores };
+    }
+  }
+  return best;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// Merging
+// ============================================
+
+// Merge the per-source versions of one grant ([{ source, fields, seenAt }])
+// into { fields, provenance, primary }: each field is taken from the most
+// trusted source that has it, the most recently seen first among equals, and
+// provenance names that source. An amount range and its currency always come
+// from one source, so a range isn't stitched together from two. `primary` is
+// the most trusted version, whose source and id the merged record carries.
+function mergeSources(sources) {
+  const fields = {};
+  const provenance = {};
+
+  for (const field of MERGED_FIELDS.filter(name => !AMOUNT_FIELDS.includes(name))) {
+    const supplier = pickSupplier(sources, field, version => hasValue(version[field]));
+    fields[field] = supplier ? supplier.fields[field] : emptyValue(field);
+    provenance[field] = supplier ? supplier.source : null;
+  }
+
+  const amounts = pickSupplier(sources, 'amount', version => hasValue(version.amountMin) || hasValue(version.amountMax));
+  for (const field of AMOUNT_FIELDS) {
+    fields[field] = amounts ? amounts.fields[field] ?? emptyValue(field) : emptyValue(field);
+    provenance[field] = amounts ? amounts.source : null;
+  }
+
+  return { fields, provenance, primary: pickSupplier(sources, 'source', () => true) };
+}
+
+function pickSupplier(sources, field, has) {
+  const priority = FIELD_PRIORITY[field] || SOURCE_PRIORITY;
+  const rank = source => (priority.includes(source) ? priority.indexOf(source) : priority.length);
+  return sources
+    .filter(version => has(version.fields))
+    .sort((a, b) => rank(a.source) - rank(b.source) || b.seenAt.localeCompare(a.seenAt))[0] || null;
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function emptyValue(field) {
+  return ['eligibility', 'rationale', 'description'].includes(field) ? '' : field === 'currency' ? 'USD' : null;
+}
+
+module.exports = {
+  compareGrants,
+  bestMatch,
+  mergeSources,
+  normalizeFunder,
+  normalizeProgram,
+  MERGED_FIELDS,
+  MATCH_THRESHOLD,
+  REVIEW_THRESHOLD
+};
@@ -0,0 +1,486 @@
+// grant-store.js
+// Saved grant opportunities from research runs, Candid and Grants.gov, with
+// search, and duplicates across sources merged into one record
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+const catalog = require('./context-catalog');
+const matching = require('./grant-matching');
+
+// Tags are context parameter ids, grouped by catalog category. A search
+// matches a grant when it shares at least one id with every group the search
+// uses.
+
+// Sort keys and their default direction
+const SORTS = {
+  relevance: 'desc',
+  deadline: 'asc',
+  amount: 'desc',
+  funder: 'asc',
+  updated: 'desc'
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const REVIEW_STATUSES = ['pending', 'merged', 'distinct'];
+
+// `reviews` are borderline matches (see grant-matching.js) waiting for, or
+// settled by, a person
+const store = createJsonStore('grants', { grants: [], reviews: [] });
+
+// ============================================
+// Saving
+// ============================================
+
+// Source records are known by their own id; Claude results by funder + program
+function grantIdentity(grant) {
+  const source = grant.source || 'claude';
+  return grant.sourceId
+    ? `${source}:${grant.sourceId}`
+    : `${source}:${normalizeText(grant.funder)}|${normalizeText(grant.programName)}`;
+}
+
+function grantKey(owner, grant) {
+  return `${owner}\u0000${grantIdentity(grant)}`;
+}
+
+// Insert or refresh grants for an owner. `source` fills in grants that don't
+// carry their own, `tags` are the context ids of the search that found them.
+// A grant already saved under the same source id, or funder + program, is
+// refreshed; one that confidently matches a saved grant from another source
+// or run is merged into it; a borderline match is saved on its own and
+// queued for review. Returns the number of grants saved.
+function saveGrants(owner, grants, { source = 'claude', runId = null, tags = [] } = {}) {
+  if (!Array.isArray(grants) || grants.length === 0) {
+    return 0;
+  }
+
+  const now = new Date().toISOString();
+  const knownTags = new Set(Object.values(catalog.tagGroups()).flat());
+
+  return store.update(data => {
+    const owned = data.grants.filter(grant => grant.owner === owner);
+    const byKey = new Map(owned.flatMap(grant => versionsOf(grant).map(version => [version.key, grant])));
+    let saved = 0;
+
+    for (const raw of grants) {
+      if (!raw || !raw.funder || !raw.programName) {
+        continue;
+      }
+
+      const incoming = toRecord({ source, ...raw });
+      const key = grantKey(owner, incoming);
+      const incomingTags = [...tags, ...(raw.focusAreas || [])].filter(tag => knownTags.has(tag));
+      let grant = byKey.get(key);
+      let borderline = null;
+
+      if (!grant) {
+        const match = matching.bestMatch(incoming, owned.filter(candidate => canHold(candidate, [{ source: incoming.source, sourceId: incoming.sourceId }])));
+        if (match && match.confidence >= matching.MATCH_THRESHOLD) {
+          grant = match.grant;
+        } else {
+          borderline = match;
+        }
+      }
+
+      if (grant) {
+        grant.tags = union(grant.tags, incomingTags);
+        grant.runIds = union(grant.runIds, runId ? [runId] : []);
+      } else {
+        grant = {
+          id: crypto.randomUUID(),
+          key,
+          owner,
+          ...incoming,
+          tags: union([], incomingTags),
+          runIds: runId ? [runId] : [],
+          sources: [],
+          firstSeenAt: now
+        };
+        data.grants.push(grant);
+        owned.push(grant);
+        if (borderline) {
+          queueReview(data, owner, borderline.grant, grant, borderline, now);
+        }
+      }
+
+      saveVersion(grant, key, incoming, now);
+      byKey.set(key, grant);
+      saved++;
+    }
+
+    return saved;
+  });
+}
+
+function toRecord(grant) {
+  return {
+    source: grant.source,
+    sourceId: grant.sourceId || null,
+    funder: grant.funder,
+    funderEin: grant.funderEin || null,
+    programName: grant.programName,
+    amountMin: grant.amountMin ?? null,
+    amountMax: grant.amountMax ?? null,
+    currency: grant.currency || 'USD',
+    deadline: grant.deadline || null,
+    deadlineNotes: grant.deadlineNotes || null,
+    eligibility: grant.eligibility || '',
+    url: grant.url || null,
+    rationale: grant.rationale || '',
+    description: grant.description || '',
+    geographicScope: grant.geographicScope || null
+  };
+}
+
+// ============================================
+// Merging
+// ============================================
+// A record keeps each source's own version of the grant ({ key, source,
+// sourceId, fields, seenAt }); its top-level fields are merged from them, and
+// `provenance` says which source supplied each field.
+
+// Records saved before merging was added have just their own version
+function versionsOf(grant) {
+  return grant.sources || [{
+    key: grant.key,
+    source: grant.source,
+    sourceId: grant.sourceId,
+    fields: Object.fromEntries(matching.MERGED_FIELDS.map(field => [field, grant[field] ?? null])),
+    seenAt: grant.updatedAt
+  }];
+}
+
+// Add or refresh one source's version, keeping its earlier values where the
+// new one has gaps
+function saveVersion(grant, key, incoming, now) {
+  const versions = versionsOf(grant);
+  const fields = Object.fromEntries(matching.MERGED_FIELDS.map(field => [field, incoming[field]]));
+  const existing = versions.find(version => version.key === key);
+
+  if (existing) {
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== null && value !== '') {
+        existing.fields[field] = value;
+      }
+    }
+    existing.seenAt = now;
+  } else {
+    versions.push({ key, source: incoming.source, sourceId: incoming.sourceId, fields, seenAt: now });
+  }
+
+  grant.sources = versions;
+  applyMerge(grant, now);
+}
+
+function applyMerge(grant, now) {
+  const { fields, provenance, primary } = matching.mergeSources(grant.sources);
+  Object.assign(grant, fields, { source: primary.source, sourceId: primary.sourceId, provenance, updatedAt: now });
+}
+
+// A record holds at most one listing from each database, so two Candid
+// records with different ids are never merged
+function canHold(grant, listings) {
+  return listings.every(listing => !listing.sourceId || !versionsOf(grant).some(version =>
+    version.source === listing.source && version.sourceId && version.sourceId !== listing.sourceId
+  ));
+}
+
+// Move `other`'s versions, tags and runs into `target` and delete `other`
+function mergeInto(data, target, other, now) {
+  target.sources = [...versionsOf(target), ...versionsOf(other)];
+  target.tags = union(target.tags, other.tags);
+  target.runIds = union(target.runIds, other.runIds);
+  target.firstSeenAt = [target.firstSeenAt, other.firstSeenAt].sort()[0];
+  applyMerge(target, now);
+
+  data.grants = data.grants.filter(grant => grant !== other);
+  dropPendingReviews(data, other.id);
+}
+
+// Merge confident matches among an owner's saved grants, oldest first, and
+// queue borderline ones for review. For grants saved before merging was added,
+// or after the thresholds change. Returns { merged, queued }.
+function deduplicateGrants(owner) {
+  const now = new Date().toISOString();
+
+  return store.update(data => {
+    const kept = [];
+    let merged = 0;
+    const queuedBefore = data.reviews.length;
+
+    const owned = data.grants
+      .filter(grant => grant.owner === owner)
+      .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+
+    for (const grant of owned) {
+      const candidates = kept.filter(candidate => canHold(candidate, versionsOf(grant)) && !decidedDistinct(data, candidate, grant));
+      const match = matching.bestMatch(grant, candidates);
+      if (match && match.confidence >= matching.MATCH_THRESHOLD) {
+        mergeInto(data, match.grant, grant, now);
+        merged++;
+        continue;
+      }
+      if (match) {
+        queueReview(data, owner, match.grant, grant, match, now);
+      }
+      kept.push(grant);
+    }
+
+    return { merged, queued: data.reviews.length - queuedBefore };
+  });
+}
+
+// ============================================
+// Review
+// ============================================
+
+function samePair(review, a, b) {
+  return review.grantIds.includes(a.id) && review.grantIds.includes(b.id);
+}
+
+function decidedDistinct(data, a, b) {
+  return data.reviews.some(review => review.status === 'distinct' && samePair(review, a, b));
+}
+
+// Each pair is only ever queued once, so a "distinct" decision sticks
+function queueReview(data, owner, existing, incoming, match, now) {
+  if (data.reviews.some(review => samePair(review, existing, incoming))) {
+    return;
+  }
+  data.reviews.push({
+    id: crypto.randomUUID(),
+    owner,
+    grantIds: [existing.id, incoming.id],
+    confidence: match.confidence,
+    scores: match.scores,
+    status: 'pending',
+    createdAt: now,
+    decidedAt: null,
+    decidedBy: null
+  });
+}
+
+function dropPendingReviews(data, grantId) {
+  data.reviews = data.reviews.filter(review => review.status !== 'pending' || !review.grantIds.includes(grantId));
+}
+
+// Newest first, each with its two grants
+function listReviews(owner, { status = 'pending' } = {}) {
+  const data = store.read();
+  const byId = new Map(data.grants.filter(grant => grant.owner === owner).map(grant => [grant.id, grant]));
+
+  return data.reviews
+    .filter(review => review.owner === owner && (!status || review.status === status))
+    .reverse()
+    .map(review => toPublicReview(review, byId));
+}
+
+// Settle a pending review: "merge" folds the newer grant into the older one,
+// "distinct" keeps both and stops the pair being suggested again. Returns
+// { review, grant } (grant is the merged record), { decided: review } when it
+// was already settled, { conflict } when the grants can't be merged, or null.
+function decideReview(owner, id, decision, decidedBy) {
+  const now = new Date().toISOString();
+
+  return store.update(data => {
+    const review = data.reviews.find(r => r.id === id && r.owner === owner);
+    if (!review) {
+      return null;
+    }
+    const byId = new Map(data.grants.filter(grant => grant.owner === owner).map(grant => [grant.id, grant]));
+    if (review.status !== 'pending') {
+      return { decided: toPublicReview(review, byId) };
+    }
+
+    const [target, other] = review.grantIds.map(grantId => byId.get(grantId));
+    if (decision === 'merge' && !canHold(target, versionsOf(other))) {
+      return { conflict: 'Both grants hold a different listing from the same source' };
+    }
+
+    // Settled first, so the merge doesn't drop it with other's pending reviews
+    Object.assign(review, { status: decision === 'merge' ? 'merged' : 'distinct', decidedAt: now, decidedBy });
+    if (decision === 'merge') {
+      mergeInto(data, target, other, now);
+    }
+    return { review: toPublicReview(review, byId), grant: decision === 'merge' ? toPublic(target) : null };
+  });
+}
+
+function toPublicReview(review, grantsById) {
+  const { owner, ...rest } = review;
+  return {
+    ...rest,
+    grants: review.grantIds.map(id => (grantsById.has(id) ? toPublic(grantsById.get(id)) : null))
+  };
+}
+
+function union(a, b) {
+  return [...new Set([...(a || []), ...b])];
+}
+
+// ============================================
+// Search
+// ============================================
+
+// Filters: { q, amountMin, amountMax, deadlineFrom, deadlineTo, tags, source }.
+// Options: { sort, order, page, pageSize }. Returns { grants, total, page, pageSize }.
+function searchGrants(owner, filters = {}, options = {}) {
+  const terms = tokenize(filters.q);
+  const tagGroups = groupTags(filters.tags || []);
+
+  let matches = store.read().grants
+    .filter(grant => grant.owner === owner)
+    .filter(grant => !filters.source || versionsOf(grant).some(version => version.source === filters.source))
+    .filter(grant => amountOverlaps(grant, filters.amountMin, filters.amountMax))
+    .filter(grant => withinDeadlineWindow(grant, filters.deadlineFrom, filters.deadlineTo))
+    .filter(grant => tagGroups.every(group => grant.tags.some(tag => group.includes(tag))));
+
+  let scores = null;
+  if (terms.length > 0) {
+    scores = new Map();
+    matches = matches.filter(grant => {
+      const score = scoreGrant(grant, terms);
+      scores.set(grant.id, score);
+      return score > 0;
+    });
+  }
+
+  const sort = SORTS[options.sort] ? options.sort : (scores ? 'relevance' : 'updated');
+  const order = options.order === 'asc' || options.order === 'desc' ? options.order : SORTS[sort];
+  matches.sort(comparator(sort, scores));
+  if (order !== SORTS[sort]) {
+    matches.reverse();
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+  return {
+    grants: matches.slice((page - 1) * pageSize, page * pageSize).map(toPublic),
+    total: matches.length,
+    page,
+    pageSize
+  };
+}
+
+function getGrant(owner, id) {
+  const grant = store.read().grants.find(g => g.id === id && g.owner === owner);
+  return grant ? toPublic(grant) : null;
+}
+
+function deleteGrant(owner, id) {
+  return store.update(data => {
+    const before = data.grants.length;
+    data.grants = data.grants.filter(grant => !(grant.id === id && grant.owner === owner));
+    dropPendingReviews(data, id);
+    return data.grants.length < before;
+  });
+}
+
+// Every term must appear somewhere; funder and program matches count double
+function scoreGrant(grant, terms) {
+  const title = normalizeText(`${grant.funder} ${grant.programName}`);
+  const body = normalizeText(`${grant.description} ${grant.eligibility} ${grant.geographicScope || ''} ${grant.rationale}`);
+  let score = 0;
+
+  for (const term of terms) {
+    const termScore = countOccurrences(title, term) * 2 + countOccurrences(body, term);
+    if (termScore === 0) {
+      return 0;
+    }
+    score += termScore;
+  }
+  return score;
+}
+
+// Orders each sort key in its default direction; nulls always sort last
+function comparator(sort, scores) {
+  switch (sort) {
+    case 'relevance':
+      return (a, b) => (scores?.get(b.id) || 0) - (scores?.get(a.id) || 0);
+    case 'deadline':
+      return (a, b) => (a.deadline || '9999').localeCompare(b.deadline || '9999');
+    case 'amount':
+      return (a, b) => (b.amountMax ?? b.amountMin ?? -1) - (a.amountMax ?? a.amountMin ?? -1);
+    case 'funder':
+      return (a, b) => a.funder.localeCompare(b.funder);
+    default:
+      return (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+  }
+}
+
+// Split tag filters into their groups; unknown ids are ignored
+function groupTags(tags) {
+  return Object.values(catalog.tagGroups())
+    .map(group => group.filter(tag => tags.includes(tag)))
+    .filter(group => group.length > 0);
+}
+
+function amountOverlaps(grant, min, max) {
+  if (min !== undefined && min !== null && grant.amountMax !== null && grant.amountMax < min) {
+    return false;
+  }
+  if (max !== undefined && max !== null && grant.amountMin !== null && grant.amountMin > max) {
+    return false;
+  }
+  return true;
+}
+
+// Rolling deadlines are excluded once a window is set
+function withinDeadlineWindow(grant, from, to) {
+  if (!from && !to) {
+    return true;
+  }
+  if (!grant.deadline) {
+    return false;
+  }
+  return (!from || grant.deadline >= from) && (!to || grant.deadline <= to);
+}
+
+function tokenize(query) {
+  return normalizeText(query).split(' ').filter(Boolean);
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function countOccurrences(text, term) {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+}
+
+// Each source's version is summarized; `provenance` says where each field came from
+function toPublic(grant) {
+  const { key, owner, sources, ...rest } = grant;
+  return {
+    ...rest,
+    provenance: grant.provenance || null,
+    sources: versionsOf(grant).map(version => ({
+      source: version.source,
+      sourceId: version.sourceId,
+      funder: version.fields.funder,
+      programName: version.fields.programName,
+      seenAt: version.seenAt
+    }))
+  };
+}
+
+module.exports = {
+  saveGrants,
+  searchGrants,
+  getGrant,
+  deleteGrant,
+  deduplicateGrants,
+  listReviews,
+  decideReview,
+  grantIdentity,
+  REVIEW_STATUSES
+};
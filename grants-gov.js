@@ -0,0 +1,306 @@
+// grants-gov.js
+// Grants.gov bulk XML extract importer and local federal opportunity index
+
+const fs = require('fs');
+const sax = require('sax');
+const { createJsonStore } = require('./data-store');
+const catalog = require('./context-catalog');
+const { findStates, NATIONAL_WORDS } = require('./fit-scoring');
+
+// Each opportunity in the extract is one of these elements
+const SYNOPSIS_ELEMENT = 'OpportunitySynopsisDetail_1_0';
+
+// Grants.gov eligible applicant codes
+const ELIGIBILITY_CODES = {
+  '00': 'State governments',
+  '01': 'County governments',
+  '02': 'City or township governments',
+  '04': 'Special district governments',
+  '05': 'Independent school districts',
+  '06': 'Public and State controlled institutions of higher education',
+  '07': 'Native American tribal governments (Federally recognized)',
+  '08': 'Public housing authorities/Indian housing authorities',
+  '11': 'Native American tribal organizations (other than Federally recognized tribal governments)',
+  '12': 'Nonprofits having a 501(c)(3) status with the IRS, other than institutions of higher education',
+  '13': 'Nonprofits that do not have a 501(c)(3) status with the IRS, other than institutions of higher education',
+  '20': 'Private institutions of higher education',
+  '21': 'Individuals',
+  '22': 'For profit organizations other than small businesses',
+  '23': 'Small businesses',
+  '25': 'Others (see Additional Information on Eligibility)',
+  '99': 'Unrestricted'
+};
+
+// Our organizationType filter values -> eligibility codes that admit them.
+// "Others" (25) and "Unrestricted" (99) admit everyone.
+const ORGANIZATION_TYPE_CODES = {
+  '501c3': ['12', '25', '99'],
+  nonprofit: ['12', '13', '25', '99'],
+  government: ['00', '01', '02', '04', '25', '99'],
+  tribal: ['07', '11', '25', '99'],
+  education: ['05', '06', '20', '25', '99'],
+  business: ['22', '23', '25', '99']
+};
+
+// Long descriptions are trimmed so the index stays a manageable size
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const store = createJsonStore('grants-gov-index', {
+  importedAt: null,
+  sourceFile: null,
+  opportunities: []
+});
+
+// ============================================
+// Import
+// ============================================
+
+// Stream-parse an extract file; resolves with the normalized opportunities
+function parseExtract(filePath) {
+  return new Promise((resolve, reject) => {
+    // Text is trimmed once a field is complete, not chunk by chunk
+    const parser = sax.createStream(true);
+    const opportunities = [];
+    let current = null;
+    let field = null;
+    // Set when a field opens, so its first text starts a new value
+    let opened = false;
+
+    parser.on('opentag', node => {
+      // Element names may carry a namespace prefix in newer extracts
+      const name = node.name.replace(/^.*:/, '');
+      if (name === SYNOPSIS_ELEMENT) {
+        current = {};
+      } else if (current) {
+        field = name;
+        opened = true;
+      }
+    });
+
+    const onText = text => {
+      appendField(current, field, text, opened);
+      opened = false;
+    };
+    parser.on('text', onText);
+    parser.on('cdata', onText);
+
+    parser.on('closetag', tagName => {
+      const name = tagName.replace(/^.*:/, '');
+      if (name === SYNOPSIS_ELEMENT) {
+        const opportunity = normalizeOpportunity(current);
+        if (opportunity) {
+          opportunities.push(opportunity);
+        }
+        current = null;
+      }
+      field = null;
+    });
+
+    parser.on('error', reject);
+    parser.on('end', () => resolve(opportunities));
+
+    fs.createReadStream(filePath).on('error', reject).pipe(parser);
+  });
+}
+
+// An element's text can arrive in several pieces (sax flushes long text early,
+// and CDATA sections come separately), which are joined into one value.
+// Repeated elements (CFDANumbers, EligibleApplicants) collect into arrays.
+function appendField(record, field, text, startsValue) {
+  if (!record || !field || !text) {
+    return;
+  }
+  if (!Object.hasOwn(record, field)) {
+    record[field] = text;
+  } else if (startsValue) {
+    record[field] = [].concat(record[field], text);
+  } else if (Array.isArray(record[field])) {
+    record[field][record[field].length - 1] += text;
+  } else {
+    record[field] += text;
+  }
+}
+
+function normalizeOpportunity(raw) {
+  const number = single(raw.OpportunityNumber);
+  if (!number) {
+    return null;
+  }
+
+  const eligibilityCodes = list(raw.EligibleApplicants);
+
+  return {
+    opportunityId: single(raw.OpportunityID),
+    opportunityNumber: number,
+    title: single(raw.OpportunityTitle) || number,
+    agencyCode: single(raw.AgencyCode),
+    agencyName: single(raw.AgencyName) || single(raw.AgencyCode),
+    cfdaNumbers: list(raw.CFDANumbers),
+    eligibilityCodes,
+    eligibilityInfo: single(raw.AdditionalInformationOnEligibility),
+    fundingCategories: list(raw.CategoryOfFundingActivity),
+    awardFloor: toAmount(raw.AwardFloor),
+    awardCeiling: toAmount(raw.AwardCeiling),
+    totalFunding: toAmount(raw.EstimatedTotalProgramFunding),
+    postDate: toIsoDate(raw.PostDate),
+    closeDate: toIsoDate(raw.CloseDate),
+    description: (single(raw.Description) || '').slice(0, MAX_DESCRIPTION_LENGTH),
+    url: single(raw.AdditionalInformationURL)
+  };
+}
+
+function single(value) {
+  return list(value)[0] || null;
+}
+
+function list(value) {
+  if (value === undefined) return [];
+  return [].concat(value).map(text => text.trim()).filter(Boolean);
+}
+
+function toAmount(value) {
+  const number = Number(String(single(value) || '').replace(/[$,\s]/g, ''));
+  // The extract uses 0 for "not specified"
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Extract dates are MMDDYYYY
+function toIsoDate(value) {
+  const match = String(single(value) || '').match(/^(\d{2})(\d{2})(\d{4})$/);
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : null;
+}
+
+// Replace the local index with the contents of an extract file
+async function importExtract(filePath) {
+  const opportunities = await parseExtract(filePath);
+
+  store.write({
+    importedAt: new Date().toISOString(),
+    sourceFile: filePath,
+    opportunities
+  });
+
+  return { imported: opportunities.length };
+}
+
+function getIndexInfo() {
+  const { importedAt, sourceFile, opportunities } = store.read();
+  return { importedAt, sourceFile, count: opportunities.length };
+}
+
+// ============================================
+// Search
+// ============================================
+
+// Same filters as /api/candid/search. Closed opportunities are skipped unless
+// includeClosed is set. Returns { grants, total } in our grant schema.
+function searchOpportunities(filters = {}, { limit = 25, offset = 0, includeClosed = false } = {}) {
+  const today = new Date().toISOString().split('T')[0];
+  // Context ids map to CategoryOfFundingActivity codes through the catalog
+  const { categories } = catalog.grantsGovFilters(Array.isArray(filters.focusAreas) ? filters.focusAreas : []);
+  const eligibleCodes = typeof filters.organizationType === 'string' && Object.hasOwn(ORGANIZATION_TYPE_CODES, filters.organizationType)
+    ? ORGANIZATION_TYPE_CODES[filters.organizationType]
+    : null;
+  const query = typeof filters.query === 'string' ? filters.query.trim().toLowerCase() : '';
+  const scope = typeof filters.geographicScope === 'string' ? filters.geographicScope.trim() : '';
+
+  const matches = store.read().opportunities.filter(opp => {
+    if (!includeClosed && opp.closeDate && opp.closeDate < today) {
+      return false;
+    }
+    if (categories.length > 0 && !opp.fundingCategories.some(code => categories.includes(code))) {
+      return false;
+    }
+    if (eligibleCodes && !opp.eligibilityCodes.some(code => eligibleCodes.includes(code))) {
+      return false;
+    }
+    if (!amountOverlaps(opp, filters.grantSize)) {
+      return false;
+    }
+    if (query) {
+      const haystack = `${opp.title} ${opp.agencyName} ${opp.description} ${opp.eligibilityInfo || ''}`.toLowerCase();
+      if (!haystack.includes(query)) {
+        return false;
+      }
+    }
+    if (scope && !servesArea(opp, scope)) {
+      return false;
+    }
+    return true;
+  });
+
+  // Soonest deadline first; open-ended ones last
+  matches.sort((a, b) => (a.closeDate || '9999').localeCompare(b.closeDate || '9999'));
+
+  return {
+    grants: matches.slice(offset, offset + limit).map(toGrant),
+    total: matches.length
+  };
+}
+
+// Federal opportunities rarely name a place. One whose eligibility names no
+// US state is open everywhere; one that does only serves the states it names.
+// A scope that isn't a state ("Appalachia") is matched against the text.
+function servesArea(opp, scope) {
+  const located = `${opp.title} ${opp.eligibilityInfo || ''}`;
+  const oppStates = findStates(located);
+  const wantedStates = findStates(scope);
+
+  if (wantedStates.length > 0) {
+    return oppStates.length === 0 || oppStates.some(state => wantedStates.includes(state));
+  }
+  if (NATIONAL_WORDS.test(scope)) {
+    return oppStates.length === 0;
+  }
+  return `${located} ${opp.description}`.toLowerCase().includes(scope.toLowerCase());
+}
+
+function amountOverlaps(opp, grantSize) {
+  if (!grantSize) {
+    return true;
+  }
+  const { min, max } = grantSize;
+  if (min !== undefined && min !== null && opp.awardCeiling !== null && opp.awardCeiling < min) {
+    return false;
+  }
+  if (max !== undefined && max !== null && opp.awardFloor !== null && opp.awardFloor > max) {
+    return false;
+  }
+  return true;
+}
+
+// Index record -> our grant schema (same fields as grant-extraction.js)
+function toGrant(opp) {
+  const eligibility = opp.eligibilityCodes
+    .map(code => ELIGIBILITY_CODES[code] || `Code ${code}`)
+    .join('; ');
+
+  return {
+    source: 'grants.gov',
+    sourceId: opp.opportunityNumber,
+    funder: opp.agencyName,
+    programName: opp.title,
+    amountMin: opp.awardFloor,
+    amountMax: opp.awardCeiling,
+    currency: 'USD',
+    deadline: opp.closeDate,
+    eligibility: [eligibility, opp.eligibilityInfo].filter(Boolean).join('. '),
+    url: opp.opportunityId
+      ? `https://www.grants.gov/search-results-detail/${opp.opportunityId}`
+      : opp.url,
+    rationale: '',
+    description: opp.description,
+    opportunityNumber: opp.opportunityNumber,
+    agencyCode: opp.agencyCode,
+    cfdaNumbers: opp.cfdaNumbers,
+    eligibilityCodes: opp.eligibilityCodes
+  };
+}
+
+module.exports = {
+  parseExtract,
+  importExtract,
+  getIndexInfo,
+  searchOpportunities,
+  ELIGIBILITY_CODES
+};
@@ -0,0 +1,76 @@
+// history-store.js
+// Persistent research history: every run's inputs, raw response and parsed grants
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+
+// Oldest runs are pruned past this many per owner to keep the file bounded
+const MAX_RUNS_PER_OWNER = 200;
+
+const store = createJsonStore('research-history', { runs: [] });
+
+// scheduleId marks a run made by a scheduled search
+function saveRun(owner, route, input, result, { scheduleId = null } = {}) {
+  const run = {
+    id: crypto.randomUUID(),
+    owner,
+    route,
+    scheduleId,
+    prompt: input.prompt,
+    orgDescription: input.orgDescription || '',
+    orgProfile: input.orgProfile || null,
+    contextParameters: input.contextParameters || [],
+    useCandid: Boolean(input.useCandid),
+    useFederal: Boolean(input.useFederal),
+    llmOptions: input.llmOptions || null,
+    model: result.response?.model || null,
+    response: result.response,
+    summary: result.summary,
+    grants: result.grants,
+    createdAt: new Date().toISOString()
+  };
+
+  store.update(data => {
+    data.runs.push(run);
+
+    const owned = data.runs.filter(r => r.owner === owner);
+    if (owned.length > MAX_RUNS_PER_OWNER) {
+      const stale = new Set(owned.slice(0, owned.length - MAX_RUNS_PER_OWNER).map(r => r.id));
+      data.runs = data.runs.filter(r => !stale.has(r.id));
+    }
+  });
+
+  return run;
+}
+
+// Newest first, without the bulky raw response
+function listRuns(owner) {
+  return store.read().runs
+    .filter(run => run.owner === owner)
+    .reverse()
+    .map(run => ({
+      id: run.id,
+      route: run.route,
+      scheduleId: run.scheduleId || null,
+      orgDescription: run.orgDescription,
+      profileName: run.orgProfile?.name || null,
+      contextParameters: run.contextParameters.map(ctx => ctx.label),
+      model: run.model,
+      grantCount: run.grants.length,
+      createdAt: run.createdAt
+    }));
+}
+
+function getRun(owner, id) {
+  return store.read().runs.find(run => run.id === id && run.owner === owner) || null;
+}
+
+function deleteRun(owner, id) {
+  return store.update(data => {
+    const before = data.runs.length;
+    data.runs = data.runs.filter(run => !(run.id === id && run.owner === owner));
+    return data.runs.length < before;
+  });
+}
+
+module.exports = { saveRun, listRuns, getRun, deleteRun };
@@ -0,0 +1,187 @@
+// job-queue.js
+// Persistent background research jobs: queued, run by a fixed number of
+// workers, and polled by the browser until they finish
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+
+// Jobs run at the same time; the rest wait in order of submission
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+// Finished jobs past this many per owner are pruned, oldest first
+const MAX_FINISHED_PER_OWNER = 100;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+const store = createJsonStore('research-jobs', { jobs: [] });
+
+// Live state of this process: abort controllers for running jobs. A job holds
+// its controller, and so its worker, until its handler settles, even after it
+// is cancelled.
+const controllers = new Map();
+let handler = null;
+
+// `payload` is persisted with the job, so it must hold no secrets; keys are
+// looked up by the handler when the job runs
+function enqueueJob(owner, type, payload) {
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    type,
+    status: 'queued',
+    stage: null,
+    payload,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  store.update(data => {
+    data.jobs.push(job);
+  });
+
+  pump();
+  return toPublic(job);
+}
+
+function getJob(owner, id) {
+  const job = store.read().jobs.find(j => j.id === id && j.owner === owner);
+  return job ? toPublic(job) : null;
+}
+
+// Newest first
+function listJobs(owner, { status } = {}) {
+  return store.read().jobs
+    .filter(job => job.owner === owner && (!status || job.status === status))
+    .reverse()
+    .map(toPublic);
+}
+
+// Returns the cancelled job, { finished: job } when it had already ended,
+// or null when it doesn't exist
+function cancelJob(owner, id) {
+  const job = getJob(owner, id);
+  if (!job) {
+    return null;
+  }
+  if (FINISHED.includes(job.status)) {
+    return { finished: job };
+  }
+
+  controllers.get(id)?.abort();
+  return finishJob(id, { status: 'cancelled' });
+}
+
+// The browser doesn't need the stored inputs, only what was asked for
+function toPublic(job) {
+  const { owner, payload, ...rest } = job;
+  return {
+    ...rest,
+    input: {
+      prompt: payload.input.prompt,
+      orgDescription: payload.input.orgDescription,
+      profileName: payload.input.orgProfile?.name || null,
+      contextParameters: (payload.input.contextParameters || []).map(ctx => ctx.label)
+    }
+  };
+}
+
+// ============================================
+// Workers
+// ============================================
+
+function updateJob(id, changes) {
+  return store.update(data => {
+    const job = data.jobs.find(j => j.id === id);
+    if (job) {
+      Object.assign(job, changes);
+    }
+    return job;
+  });
+}
+
+// Move a job to a terminal state and prune the owner's older finished jobs
+function finishJob(id, changes) {
+  return store.update(data => {
+    const job = data.jobs.find(j => j.id === id);
+    if (!job || FINISHED.includes(job.status)) {
+      return job ? toPublic(job) : null;
+    }
+    Object.assign(job, changes, { stage: null, finishedAt: new Date().toISOString() });
+
+    const finished = data.jobs.filter(j => j.owner === job.owner && FINISHED.includes(j.status));
+    if (finished.length > MAX_FINISHED_PER_OWNER) {
+      const stale = new Set(finished.slice(0, finished.length - MAX_FINISHED_PER_OWNER).map(j => j.id));
+      data.jobs = data.jobs.filter(j => !stale.has(j.id));
+    }
+    return toPublic(job);
+  });
+}
+
+// Start queued jobs while workers are free
+function pump() {
+  if (!handler) {
+    return;
+  }
+
+  while (controllers.size < CONCURRENCY) {
+    const next = store.read().jobs.find(job => job.status === 'queued');
+    if (!next) {
+      return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(next.id, controller);
+    const job = updateJob(next.id, { status: 'running', startedAt: new Date().toISOString() });
+
+    runJob(job, controller.signal).finally(pump);
+  }
+}
+
+async function runJob(job, signal) {
+  try {
+    const result = await handler(job, {
+      signal,
+      setStage: stage => {
+        if (!signal.aborted) {
+          updateJob(job.id, { stage });
+        }
+      }
+    });
+    finishJob(job.id, { status: 'succeeded', result });
+  } catch (error) {
+    // Cancelled jobs were already marked by cancelJob()
+    finishJob(job.id, {
+      status: 'failed',
+      error: { message: error.message, code: error.code || null }
+    });
+  } finally {
+    controllers.delete(job.id);
+  }
+}
+
+// Register handler(job, { signal, setStage }), which resolves with the
+// job's result. Jobs left running by a previous process are queued again.
+function startJobWorkers(jobHandler) {
+  handler = jobHandler;
+
+  store.update(data => {
+    for (const job of data.jobs.filter(j => j.status === 'running')) {
+      Object.assign(job, { status: 'queued', stage: null, startedAt: null });
+    }
+  });
+
+  pump();
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  startJobWorkers,
+  JOB_STATUSES
+};
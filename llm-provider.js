@@ -0,0 +1,197 @@
+// llm-provider.js
+// One place for model calls: configurable Anthropic provider plus an offline mock
+
+const fs = require('fs');
+const path = require('path');
+const { upstreamRequest } = require('./upstream-client');
+const { GRANT_TOOL_REQUEST } = require('./grant-extraction');
+const { streamClaudeMessage } = require('./claude-stream');
+
+const ANTHROPIC_MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+
+const DEFAULT_MODEL = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929';
+
+// Models a request may ask for; the default model is always allowed
+const ALLOWED_MODELS = new Set([
+  DEFAULT_MODEL,
+  ...(process.env.CLAUDE_ALLOWED_MODELS || '').split(',').map(m => m.trim()).filter(Boolean)
+]);
+
+const LLM_DEFAULTS = {
+  model: DEFAULT_MODEL,
+  maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS, 10) || 4096,
+  temperature: process.env.CLAUDE_TEMPERATURE ? Number(process.env.CLAUDE_TEMPERATURE) : null,
+  systemPrompt: process.env.CLAUDE_SYSTEM_PROMPT || null
+};
+
+// Upper bound for per-request maxTokens overrides
+const MAX_TOKENS_LIMIT = parseInt(process.env.CLAUDE_MAX_TOKENS_LIMIT, 10) || 8192;
+
+// Merge per-request overrides ({ model, temperature, maxTokens, systemPrompt })
+// over the env defaults. Throws with a user-facing message on invalid values.
+function resolveLlmOptions(overrides = {}) {
+  const options = { ...LLM_DEFAULTS };
+
+  if (overrides.model !== undefined && overrides.model !== null) {
+    if (!ALLOWED_MODELS.has(overrides.model)) {
+      throw new Error(`Model "${overrides.model}" is not allowed (choose from: ${[...ALLOWED_MODELS].join(', ')})`);
+    }
+    options.model = overrides.model;
+  }
+
+  if (overrides.temperature !== undefined && overrides.temperature !== null) {
+    const temperature = Number(overrides.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+      throw new Error('Temperature must be a number between 0 and 1');
+    }
+    options.temperature = temperature;
+  }
+
+  if (overrides.maxTokens !== undefined && overrides.maxTokens !== null) {
+    const maxTokens = Number(overrides.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT) {
+      throw new Error(`maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`);
+    }
+    options.maxTokens = maxTokens;
+  }
+
+  if (typeof overrides.systemPrompt === 'string' && overrides.systemPrompt.trim()) {
+    options.systemPrompt = overrides.systemPrompt.trim();
+  }
+
+  return options;
+}
+
+// Messages API body for a prompt that Claude answers through the grant tool
+function buildMessageRequest(prompt, options) {
+  const body = {
+    model: options.model,
+    max_tokens: options.maxTokens,
+    ...GRANT_TOOL_REQUEST,
+    messages: [{
+      role: 'user',
+      content: prompt
+    }]
+  };
+
+  if (options.temperature !== null && Number.isFinite(options.temperature)) {
+    body.temperature = options.temperature;
+  }
+  if (options.systemPrompt) {
+    body.system = options.systemPrompt;
+  }
+
+  return body;
+}
+
+// ============================================
+// Anthropic provider
+// ============================================
+const anthropicProvider = {
+  name: 'anthropic',
+  requiresApiKey: true,
+
+  async createMessage(body, { apiKey, signal }) {
+    const response = await upstreamRequest('anthropic', {
+      method: 'post',
+      url: ANTHROPIC_MESSAGES_URL,
+      data: body,
+      headers: anthropicHeaders(apiKey),
+      signal
+    });
+    return response.data;
+  },
+
+  async streamMessage(body, { apiKey, signal, onDelta }) {
+    return streamClaudeMessage(ANTHROPIC_MESSAGES_URL, body, anthropicHeaders(apiKey), { signal, onDelta });
+  }
+};
+
+function anthropicHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+}
+
+// ============================================
+// Mock provider (offline development)
+// ============================================
+// Returns a fixture Messages API response, so the app runs with no network
+// or API key. Set LLM_PROVIDER=mock. LLM_MOCK_FIXTURE points at another
+// fixture file if the default one doesn't suit.
+const MOCK_FIXTURE = process.env.LLM_MOCK_FIXTURE
+  || path.join(__dirname, 'fixtures', 'llm', 'research-response.json');
+
+const MOCK_CHUNK_SIZE = 64;
+
+const mockProvider = {
+  name: 'mock',
+  requiresApiKey: false,
+
+  async createMessage(body, { signal } = {}) {
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    return loadMockResponse(body);
+  },
+
+  async streamMessage(body, { signal, onDelta }) {
+    const message = loadMockResponse(body);
+
+    // Replay the fixture in fixed-size chunks, the same way a real stream arrives
+    for (const block of message.content) {
+      const output = block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || '';
+      const kind = block.type === 'tool_use' ? 'tool_input' : 'text';
+      for (let i = 0; i < output.length; i += MOCK_CHUNK_SIZE) {
+        if (signal?.aborted) {
+          throw abortError();
+        }
+        onDelta?.(output.slice(i, i + MOCK_CHUNK_SIZE), kind);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    return message;
+  }
+};
+
+// Shaped like the error axios throws for an aborted request
+function abortError() {
+  const error = new Error('Mock request aborted');
+  error.name = 'CanceledError';
+  return error;
+}
+
+function loadMockResponse(body) {
+  const fixture = JSON.parse(fs.readFileSync(MOCK_FIXTURE, 'utf8'));
+  return { ...fixture, model: body.model };
+}
+
+// ============================================
+// Provider selection
+// ============================================
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  mock: mockProvider
+};
+
+const providerName = process.env.LLM_PROVIDER || 'anthropic';
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown LLM_PROVIDER "${providerName}" (use ${Object.keys(PROVIDERS).join(' or ')})`);
+}
+
+function getProvider() {
+  return PROVIDERS[providerName];
+}
+
+module.exports = {
+  getProvider,
+  resolveLlmOptions,
+  buildMessageRequest,
+  LLM_DEFAULTS,
+  ALLOWED_MODELS,
+  ANTHROPIC_MESSAGES_URL
+};
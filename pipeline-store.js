@@ -0,0 +1,179 @@
+// pipeline-store.js
+// Application pipeline: where each grant stands after it has been found.
+// Items belong to a workspace, like saved grants; `owner` is the member
+// working on one.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+
+// In board order
+const PIPELINE_STAGES = [
+  { id: 'prospect', label: 'Prospect' },
+  { id: 'researching', label: 'Researching' },
+  { id: 'loi-submitted', label: 'LOI Submitted' },
+  { id: 'full-application', label: 'Full Application' },
+  { id: 'awarded', label: 'Awarded' },
+  { id: 'declined', label: 'Declined' }
+];
+
+const STAGE_IDS = PIPELINE_STAGES.map(stage => stage.id);
+
+// Grant fields copied onto the pipeline item, so later edits to the saved
+// grant don't rewrite what the team applied for
+const GRANT_FIELDS = ['funder', 'programName', 'amountMin', 'amountMax', 'currency', 'deadline', 'deadlineNotes', 'eligibility', 'url'];
+
+const MAX_NOTE_LENGTH = 5000;
+
+const store = createJsonStore('pipeline', { items: [] });
+
+// Validate a create/update body ({ stage, owner, requestedAmount, awardedAmount }).
+// Only fields present in the body are returned. Throws with a user-facing message.
+function resolvePipelineChanges(body = {}) {
+  const changes = {};
+
+  if (body.stage !== undefined) {
+    if (!STAGE_IDS.includes(body.stage)) {
+      throw new Error(`Unknown stage "${body.stage}" (use ${STAGE_IDS.join(', ')})`);
+    }
+    changes.stage = body.stage;
+  }
+
+  if (body.owner !== undefined) {
+    changes.owner = body.owner ? String(body.owner).trim().toLowerCase() : null;
+  }
+
+  for (const field of ['requestedAmount', 'awardedAmount']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      changes[field] = null;
+      continue;
+    }
+    const amount = Number(body[field]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    changes[field] = amount;
+  }
+
+  return changes;
+}
+
+// Items made before workspaces belong to their creator's personal workspace,
+// whose id is their email
+function workspaceOf(item) {
+  return item.workspace || item.createdBy;
+}
+
+function findItem(items, workspace, id) {
+  return items.find(item => item.id === id && workspaceOf(item) === workspace) || null;
+}
+
+function listItems(workspace, { stage, owner } = {}) {
+  return store.read().items
+    .filter(item => workspaceOf(item) === workspace)
+    .filter(item => !stage || item.stage === stage)
+    .filter(item => !owner || item.owner === owner);
+}
+
+function getItem(workspace, id) {
+  return findItem(store.read().items, workspace, id);
+}
+
+// `grant` is a validated grant; `changes` comes from resolvePipelineChanges
+function createItem(workspace, grant, changes, actor, { grantId = null } = {}) {
+  const now = new Date().toISOString();
+  const stage = changes.stage || 'prospect';
+
+  const item = {
+    id: crypto.randomUUID(),
+    workspace,
+    grantId,
+    grant: Object.fromEntries(GRANT_FIELDS.map(field => [field, grant[field] ?? null])),
+    stage,
+    owner: changes.owner || actor,
+    requestedAmount: changes.requestedAmount ?? null,
+    awardedAmount: changes.awardedAmount ?? null,
+    notes: [],
+    stageHistory: [{ stage, changedAt: now, changedBy: actor }],
+    createdBy: actor,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.update(data => {
+    data.items.push(item);
+  });
+
+  return item;
+}
+
+// Returns the updated item, or null when it doesn't exist
+function updateItem(workspace, id, changes, actor) {
+  return store.update(data => {
+    const item = findItem(data.items, workspace, id);
+    if (!item) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    if (changes.stage && changes.stage !== item.stage) {
+      item.stageHistory.push({ stage: changes.stage, changedAt: now, changedBy: actor });
+    }
+    Object.assign(item, changes, { updatedAt: now });
+    return item;
+  });
+}
+
+function addNote(workspace, id, text, actor) {
+  return store.update(data => {
+    const item = findItem(data.items, workspace, id);
+    if (!item) {
+      return null;
+    }
+
+    const note = {
+      id: crypto.randomUUID(),
+      author: actor,
+      text: String(text).slice(0, MAX_NOTE_LENGTH),
+      createdAt: new Date().toISOString()
+    };
+    item.notes.push(note);
+    item.updatedAt = note.createdAt;
+    return item;
+  });
+}
+
+function deleteItem(workspace, id) {
+  return store.update(data => {
+    const item = findItem(data.items, workspace, id);
+    data.items = data.items.filter(i => i !== item);
+    return Boolean(item);
+  });
+}
+
+// Items grouped by stage with counts and totals, for the board and Word report
+function summarizePipeline(items) {
+  return PIPELINE_STAGES.map(({ id, label }) => {
+    const staged = items.filter(item => item.stage === id);
+    return {
+      stage: id,
+      label,
+      count: staged.length,
+      requestedTotal: staged.reduce((sum, item) => sum + (item.requestedAmount || 0), 0),
+      awardedTotal: staged.reduce((sum, item) => sum + (item.awardedAmount || 0), 0),
+      items: staged
+    };
+  });
+}
+
+module.exports = {
+  resolvePipelineChanges,
+  listItems,
+  getItem,
+  createItem,
+  updateItem,
+  addNote,
+  deleteItem,
+  summarizePipeline,
+  PIPELINE_STAGES
+};
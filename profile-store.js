@@ -0,0 +1,205 @@
+// profile-store.js
+// Named organization profiles: structured facts about an applicant that feed
+// the research prompt, fit scoring and the report's Organization Profile table
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+const catalog = require('./context-catalog');
+
+const SERVICE_SETTINGS = ['urban', 'suburban', 'rural', 'mixed'];
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_LIST_LENGTH = 50;
+
+const store = createJsonStore('org-profiles', { profiles: [] });
+
+// Validate a create/update body. Only fields present in the body are returned;
+// `requireName` is set on create. Throws with a user-facing message.
+function resolveProfileFields(body = {}, { requireName = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || requireName) {
+    const name = cleanText(body.name);
+    if (!name) {
+      throw new Error('Profile name is required');
+    }
+    fields.name = name.slice(0, 200);
+  }
+
+  if (body.mission !== undefined) {
+    fields.mission = cleanText(body.mission).slice(0, MAX_TEXT_LENGTH);
+  }
+
+  if (body.ein !== undefined) {
+    const digits = String(body.ein || '').replace(/\D/g, '');
+    if (digits && digits.length !== 9) {
+      throw new Error('EIN must have 9 digits (XX-XXXXXXX)');
+    }
+    fields.ein = digits ? `${digits.slice(0, 2)}-${digits.slice(2)}` : null;
+  }
+
+  if (body.annualBudget !== undefined) {
+    fields.annualBudget = toOptionalNumber(body.annualBudget, 'annualBudget');
+  }
+
+  if (body.yearFounded !== undefined) {
+    const year = toOptionalNumber(body.yearFounded, 'yearFounded');
+    if (year !== null && (!Number.isInteger(year) || year < 1800 || year > new Date().getFullYear())) {
+      throw new Error(`yearFounded must be a year between 1800 and ${new Date().getFullYear()}`);
+    }
+    fields.yearFounded = year;
+  }
+
+  if (body.serviceArea !== undefined) {
+    const area = body.serviceArea || {};
+    const setting = area.setting ? String(area.setting).toLowerCase() : null;
+    if (setting && !SERVICE_SETTINGS.includes(setting)) {
+      throw new Error(`serviceArea.setting must be one of ${SERVICE_SETTINGS.join(', ')}`);
+    }
+    fields.serviceArea = {
+      state: cleanText(area.state) || null,
+      counties: toList(area.counties),
+      setting
+    };
+  }
+
+  for (const field of ['populations', 'programs']) {
+    if (body[field] !== undefined) {
+      fields[field] = toList(body[field]);
+    }
+  }
+
+  if (body.defaultContext !== undefined) {
+    fields.defaultContext = catalog.resolveContextParameters(toList(body.defaultContext)).map(param => param.id);
+  }
+
+  return fields;
+}
+
+// Lists accept arrays or comma/newline-separated text
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  return [...new Set(items.map(cleanText).filter(Boolean))].slice(0, MAX_LIST_LENGTH);
+}
+
+function toOptionalNumber(value, field) {
+  if (value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${field} must be a non-negative number`);
+  }
+  return number;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function listProfiles(owner) {
+  return store.read().profiles
+    .filter(profile => profile.owner === owner)
+    .map(toPublic)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getProfile(owner, id) {
+  const profile = store.read().profiles.find(p => p.id === id && p.owner === owner);
+  return profile ? toPublic(profile) : null;
+}
+
+// `fields` comes from resolveProfileFields(body, { requireName: true })
+function createProfile(owner, fields) {
+  const now = new Date().toISOString();
+  const profile = {
+    id: crypto.randomUUID(),
+    owner,
+    name: fields.name,
+    mission: fields.mission || '',
+    ein: fields.ein || null,
+    annualBudget: fields.annualBudget ?? null,
+    yearFounded: fields.yearFounded ?? null,
+    serviceArea: fields.serviceArea || { state: null, counties: [], setting: null },
+    populations: fields.populations || [],
+    programs: fields.programs || [],
+    defaultContext: fields.defaultContext || [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.update(data => {
+    data.profiles.push(profile);
+  });
+
+  return toPublic(profile);
+}
+
+// Returns the updated profile, or null when it doesn't exist
+function updateProfile(owner, id, fields) {
+  return store.update(data => {
+    const profile = data.profiles.find(p => p.id === id && p.owner === owner);
+    if (!profile) {
+      return null;
+    }
+    Object.assign(profile, fields, { updatedAt: new Date().toISOString() });
+    return toPublic(profile);
+  });
+}
+
+function deleteProfile(owner, id) {
+  return store.update(data => {
+    const before = data.profiles.length;
+    data.profiles = data.profiles.filter(p => !(p.id === id && p.owner === owner));
+    return data.profiles.length < before;
+  });
+}
+
+function toPublic(profile) {
+  const { owner, ...rest } = profile;
+  return rest;
+}
+
+// ============================================
+// Presentation
+// ============================================
+
+// Labelled rows for the prompt and report tables; empty fields are left out
+function describeProfile(profile) {
+  const area = profile.serviceArea || {};
+  const places = [
+    area.counties && area.counties.length > 0 ? `${area.counties.join(', ')} ${area.counties.length === 1 ? 'County' : 'counties'}` : null,
+    area.state
+  ].filter(Boolean).join(', ');
+  const serviceArea = [places, area.setting ? `(${area.setting})` : null].filter(Boolean).join(' ');
+
+  return [
+    { label: 'Organization', value: profile.name },
+    { label: 'Mission', value: profile.mission },
+    { label: 'EIN', value: profile.ein },
+    {
+      label: 'Annual Budget',
+      value: profile.annualBudget !== null && profile.annualBudget !== undefined
+        ? profile.annualBudget.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 })
+        : null
+    },
+    { label: 'Year Founded', value: profile.yearFounded ? String(profile.yearFounded) : null },
+    { label: 'Service Area', value: serviceArea },
+    { label: 'Populations Served', value: (profile.populations || []).join(', ') },
+    { label: 'Programs', value: (profile.programs || []).join('; ') }
+  ].filter(row => row.value);
+}
+
+module.exports = {
+  resolveProfileFields,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  describeProfile
+};
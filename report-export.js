@@ -0,0 +1,352 @@
+// report-export.js
+// Grant report exports: Word, CSV, XLSX, Markdown and PDF from the same
+// parsed grant list, organization profile and search parameters
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const {
+  generateGrantReportWord,
+  resolveReportOptions,
+  buildReportFilename,
+  toReportGrant,
+  PAGE_SIZES
+} = require('./word-generator');
+
+// One row per grant in CSV and XLSX; `value` reads fields that aren't top-level
+const GRANT_COLUMNS = [
+  { header: 'Fit Score', key: 'fitScore', width: 10, value: grant => grant.fit?.score },
+  { header: 'Program', key: 'programName', width: 36 },
+  { header: 'Funder', key: 'funder', width: 32 },
+  { header: 'Amount Min', key: 'amountMin', width: 14, type: 'amount' },
+  { header: 'Amount Max', key: 'amountMax', width: 14, type: 'amount' },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Deadline', key: 'deadline', width: 14, type: 'date' },
+  { header: 'Deadline Notes', key: 'deadlineNotes', width: 36 },
+  { header: 'Eligibility', key: 'eligibility', width: 48 },
+  { header: 'Website', key: 'url', width: 40, type: 'url' },
+  { header: 'Why It Fits', key: 'rationale', width: 60 },
+  { header: 'Fit Reason', key: 'fitReason', width: 60, value: grant => grant.fit?.reason }
+];
+
+const EXPORT_FORMATS = {
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    generate: generateGrantReportWord
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    generate: generateCsv
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    generate: generateXlsx
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    generate: generateMarkdown
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    generate: generatePdf
+  }
+};
+
+// Formats that need the structured grants array (older text-only results
+// can only be rendered to Word)
+const STRUCTURED_FORMATS = ['csv', 'xlsx', 'md', 'pdf'];
+
+// Render `data` ({ summary, grants, orgDescription, profileDetails, contextParameters,
+// timestamp })
+// in the requested format. Returns { buffer, contentType, filename }.
+async function exportReport(format, data, options = {}) {
+  const exporter = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exporter) {
+    throw new Error(`Unsupported export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const output = await exporter.generate(data, options);
+  return {
+    buffer: Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf8'),
+    contentType: exporter.contentType,
+    filename: buildReportFilename(options, data.timestamp, format)
+  };
+}
+
+function formatGenerated(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function generateCsv(data) {
+  const rows = [
+    GRANT_COLUMNS.map(column => column.header),
+    ...data.grants.map(grant => GRANT_COLUMNS.map(column => columnValue(grant, column) ?? ''))
+  ];
+
+  return toCsv(rows);
+}
+
+// Rows of cell values to CSV text, with a BOM so Excel opens it as UTF-8
+function toCsv(rows) {
+  return '\ufeff' + rows.map(row => row.map(value => csvCell(value ?? '')).join(',')).join('\r\n') + '\r\n';
+}
+
+function columnValue(grant, column) {
+  return column.value ? column.value(grant) : grant[column.key];
+}
+
+function csvCell(value) {
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+async function generateXlsx(data, options) {
+  const report = resolveReportOptions(options);
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(data.timestamp);
+
+  const sheet = workbook.addWorksheet('Grants', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = GRANT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const grant of data.grants) {
+    const row = sheet.addRow({});
+    GRANT_COLUMNS.forEach((column, index) => {
+      const cell = row.getCell(index + 1);
+      const value = columnValue(grant, column);
+      if (value === null || value === undefined || value === '') {
+        return;
+      }
+
+      if (column.type === 'amount') {
+        cell.value = value;
+        cell.numFmt = '#,##0';
+      } else if (column.type === 'date') {
+        cell.value = new Date(`${value}T00:00:00Z`);
+        cell.numFmt = 'yyyy-mm-dd';
+      } else if (column.type === 'url') {
+        cell.value = { text: value, hyperlink: value };
+      } else {
+        cell.value = value;
+      }
+    });
+  }
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: GRANT_COLUMNS.length } };
+
+  // Report details on a second sheet, following the section options
+  const details = workbook.addWorksheet('Report');
+  details.columns = [{ width: 24 }, { width: 100 }];
+  details.addRow(['Title', report.title]).font = { bold: true };
+  if (report.subtitle) {
+    details.addRow(['Subtitle', report.subtitle]);
+  }
+  details.addRow(['Generated', new Date(data.timestamp)]).getCell(2).numFmt = 'yyyy-mm-dd';
+  if (report.sections.organizationProfile) {
+    for (const row of data.profileDetails || []) {
+      details.addRow([row.label, row.value]);
+    }
+    if (data.orgDescription) {
+      details.addRow(['Organization Profile', data.orgDescription]);
+    }
+  }
+  if (report.sections.searchParameters) {
+    for (const param of data.contextParameters || []) {
+      details.addRow(['Search Parameter', `${param.label}: ${param.description}`]);
+    }
+  }
+  if (report.sections.grantOpportunities && data.summary) {
+    details.addRow(['Summary', data.summary]);
+  }
+  details.getColumn(2).alignment = { wrapText: true, vertical: 'top' };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+function generateMarkdown(data, options) {
+  const report = resolveReportOptions(options);
+  const lines = [`# ${report.title}`, ''];
+
+  if (report.subtitle) {
+    lines.push(`_${report.subtitle}_`, '');
+  }
+  lines.push(`Generated: ${formatGenerated(data.timestamp)}`, '');
+
+  const profileDetails = data.profileDetails || [];
+  if (report.sections.organizationProfile && (data.orgDescription || profileDetails.length > 0)) {
+    lines.push('## Organization Profile', '');
+    if (profileDetails.length > 0) {
+      lines.push('| Field | Value |', '| --- | --- |');
+      profileDetails.forEach(row => lines.push(`| ${markdownCell(row.label)} | ${markdownCell(row.value)} |`));
+      lines.push('');
+    }
+    if (data.orgDescription) {
+      lines.push(data.orgDescription, '');
+    }
+  }
+
+  if (report.sections.searchParameters && data.contextParameters && data.contextParameters.length > 0) {
+    lines.push('## Search Parameters', '');
+    data.contextParameters.forEach(param => lines.push(`- **${param.label}:** ${param.description}`));
+    lines.push('');
+  }
+
+  if (report.sections.grantOpportunities) {
+    lines.push('## Grant Opportunities', '');
+    if (data.summary) {
+      lines.push(data.summary, '');
+    }
+
+    data.grants.map(toReportGrant).forEach((grant, index) => {
+      lines.push(`### ${index + 1}. ${grant.title}`, '');
+      [
+        ['Organization', grant.organization],
+        ['Amount', grant.amount],
+        ['Deadline', grant.deadline],
+        ['Eligibility', grant.eligibility],
+        ['Website', grant.url && `<${grant.url}>`],
+        ['Fit Score', grant.fit]
+      ].filter(([, value]) => value).forEach(([label, value]) => {
+        lines.push(`- **${label}:** ${value}`);
+      });
+      grant.fitBreakdown.forEach(line => lines.push(`  - ${line}`));
+      lines.push('');
+      if (grant.description) {
+        lines.push(grant.description, '');
+      }
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// ============================================
+// PDF
+// ============================================
+
+const PDF_MARGIN = 72; // 1 inch, matching the Word report
+
+function generatePdf(data, options) {
+  const report = resolveReportOptions(options);
+  const page = PAGE_SIZES[report.pageSize];
+  // Page sizes are in DXA (1440 per inch); PDF points are 72 per inch
+  const doc = new PDFDocument({
+    size: [page.width / 20, page.height / 20],
+    margin: PDF_MARGIN,
+    bufferPages: true,
+    info: { Title: report.title }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const heading = (text, size, color) => {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).fillColor(`#${color}`).text(text);
+    doc.moveDown(0.3).font('Helvetica').fontSize(11).fillColor('black');
+  };
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(`#${report.headingColors.heading1}`).text(report.title);
+  if (report.subtitle) {
+    doc.font('Helvetica-Oblique').fontSize(13).fillColor('black').text(report.subtitle);
+  }
+  doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#586069')
+    .text(`Generated: ${formatGenerated(data.timestamp)}`);
+  doc.fontSize(11).fillColor('black');
+
+  const profileDetails = data.profileDetails || [];
+  if (report.sections.organizationProfile && (data.orgDescription || profileDetails.length > 0)) {
+    heading('Organization Profile', 16, report.headingColors.heading2);
+    profileDetails.forEach(row => {
+      doc.font('Helvetica-Bold').text(`${row.label}: `, { continued: true })
+        .font('Helvetica').text(row.value);
+    });
+    if (data.orgDescription) {
+      doc.moveDown(profileDetails.length > 0 ? 0.5 : 0).text(data.orgDescription);
+    }
+  }
+
+  if (report.sections.searchParameters && data.contextParameters && data.contextParameters.length > 0) {
+    heading('Search Parameters', 16, report.headingColors.heading2);
+    data.contextParameters.forEach(param => {
+      doc.font('Helvetica-Bold').text(`•  ${param.label}: `, { continued: true })
+        .font('Helvetica').text(param.description);
+    });
+  }
+
+  if (report.sections.grantOpportunities) {
+    heading('Grant Opportunities', 16, report.headingColors.heading2);
+    if (data.summary) {
+      doc.text(data.summary).moveDown(0.5);
+    }
+
+    data.grants.map(toReportGrant).forEach((grant, index) => {
+      heading(`${index + 1}. ${grant.title}`, 13, '24292e');
+      [
+        ['Organization', grant.organization],
+        ['Amount', grant.amount],
+        ['Deadline', grant.deadline],
+        ['Eligibility', grant.eligibility],
+        ['Website', grant.url],
+        ['Fit Score', grant.fit]
+      ].filter(([, value]) => value).forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+          .font('Helvetica').text(value, grant.url === value ? { link: value } : {});
+      });
+      grant.fitBreakdown.forEach(line => doc.fontSize(9).text(`•  ${line}`, { indent: 12 }).fontSize(11));
+      if (grant.description) {
+        doc.moveDown(0.3).text(grant.description);
+      }
+    });
+  }
+
+  addPageDecorations(doc, report.headerText);
+  doc.end();
+  return done;
+}
+
+// Header text and page numbers on every page, drawn inside the margins
+function addPageDecorations(doc, headerText) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { width, height, margins } = doc.page;
+    const bottomMargin = margins.bottom;
+    // Writing below the bottom margin would otherwise start a new page
+    margins.bottom = 0;
+
+    doc.font('Helvetica').fontSize(9).fillColor('#586069');
+    doc.text(headerText, PDF_MARGIN, PDF_MARGIN / 2, { width: width - PDF_MARGIN * 2, align: 'right' });
+    doc.text(`Page ${i + 1}`, PDF_MARGIN, height - PDF_MARGIN / 2, { width: width - PDF_MARGIN * 2, align: 'center' });
+
+    margins.bottom = bottomMargin;
+  }
+}
+
+module.exports = { exportReport, toCsv, EXPORT_FORMATS, STRUCTURED_FORMATS };
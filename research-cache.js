@@ -0,0 +1,287 @@
+// research-cache.js
+// Content-addressed cache for research results, so identical requests made
+// within the TTL by the same workspace and key share one paid Claude (and
+// Candid) call
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-store');
+const { describeProfile } = require('./profile-store');
+
+// Seconds a result stays fresh; 0 turns the cache off
+const TTL_SECONDS = process.env.RESEARCH_CACHE_TTL !== undefined
+  ? Number(process.env.RESEARCH_CACHE_TTL)
+  : 15 * 60;
+if (!Number.isFinite(TTL_SECONDS) || TTL_SECONDS < 0) {
+  throw new Error('RESEARCH_CACHE_TTL must be a non-negative number of seconds');
+}
+
+// Oldest entries are evicted past this many in memory
+const MAX_MEMORY_ENTRIES = 200;
+
+const CACHE_DIR = path.join(DATA_DIR, 'research-cache');
+
+// The disk backend sweeps out expired entries as it writes, at most this often
+const DISK_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// ============================================
+// Backends
+// ============================================
+// Each backend stores { value, cachedAt, expiresAt } entries by key with
+// get / set / delete. Values are copied in and out so callers can't
+// change what's cached.
+
+function createMemoryBackend() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get(key) {
+      const entry = entries.get(key);
+      return entry ? { ...entry, value: clone(entry.value) } : null;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, { ...entry, value: clone(entry.value) });
+      if (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// One JSON file per key under DATA_DIR/research-cache, so entries survive
+// restarts and can be shared by processes on the same disk. An expired entry
+// is deleted when it's next looked up, and the rest by a sweep when writing,
+// so keys nobody asks for again don't pile up.
+function createDiskBackend(dir = CACHE_DIR) {
+  const fileFor = key => path.join(dir, `${key}.json`);
+  let lastPrune = 0;
+
+  function prune() {
+    const now = Date.now();
+    if (now - lastPrune < DISK_PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPrune = now;
+
+    for (const name of fs.readdirSync(dir).filter(file => file.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      try {
+        if (JSON.parse(fs.readFileSync(file, 'utf8')).expiresAt <= now) {
+          fs.rmSync(file, { force: true });
+        }
+      } catch {
+        // Removed by another process meanwhile, or unreadable (get() reports those)
+      }
+    }
+  }
+
+  return {
+    name: 'disk',
+    get(key) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Ignoring unreadable cache entry ${key}: ${error.message}`);
+        }
+        return null;
+      }
+    },
+    set(key, entry) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tempPath = `${fileFor(key)}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(entry), { mode: 0o600 });
+      fs.renameSync(tempPath, fileFor(key));
+      prune();
+    },
+    delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  disk: createDiskBackend
+};
+
+const backendName = process.env.RESEARCH_CACHE_BACKEND || 'memory';
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown RESEARCH_CACHE_BACKEND "${backendName}" (use ${Object.keys(BACKENDS).join(' or ')})`);
+}
+
+// ============================================
+// Cache
+// ============================================
+
+function createResearchCache({ backend = BACKENDS[backendName](), ttlSeconds = TTL_SECONDS } = {}) {
+  const inFlight = new Map();
+
+  function fresh(key) {
+    const entry = backend.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      backend.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // What run() would do for this key right now: HIT, COALESCED, MISS or BYPASS
+  function status(key, { bypass = false } = {}) {
+    if (bypass || ttlSeconds === 0) {
+      return 'BYPASS';
+    }
+    if (fresh(key)) {
+      return 'HIT';
+    }
+    return inFlight.has(key) ? 'COALESCED' : 'MISS';
+  }
+
+  // Resolve with { value, status, age }. A fresh entry is returned as is; a
+  // request already in flight for the key is joined; otherwise fn(signal)
+  // runs and its result is stored. `bypass` skips the lookup but still stores
+  // the fresh result.
+  // The call runs under its own AbortSignal, not any one caller's: a caller
+  // whose `signal` aborts stops waiting (rejecting with the abort reason), and
+  // the call itself is only aborted once every caller waiting on it has gone.
+  async function run(key, fn, { bypass = false, signal = null } = {}) {
+    const skip = bypass || ttlSeconds === 0;
+
+    if (!skip) {
+      const entry = fresh(key);
+      if (entry) {
+        return { value: entry.value, status: 'HIT', age: Math.floor((Date.now() - entry.cachedAt) / 1000) };
+      }
+      if (inFlight.has(key)) {
+        return { value: clone(await wait(inFlight.get(key), signal)), status: 'COALESCED', age: 0 };
+      }
+    }
+
+    const flight = { controller: new AbortController(), waiters: 0, promise: null };
+    const forget = () => {
+      if (inFlight.get(key) === flight) {
+        inFlight.delete(key);
+      }
+    };
+    flight.forget = forget;
+    flight.promise = Promise.resolve()
+      .then(() => fn(flight.controller.signal))
+      .then(value => {
+        if (ttlSeconds > 0) {
+          const cachedAt = Date.now();
+          backend.set(key, { value, cachedAt, expiresAt: cachedAt + ttlSeconds * 1000 });
+        }
+        return value;
+      })
+      .finally(forget);
+    if (!skip) {
+      inFlight.set(key, flight);
+    }
+
+    const value = await wait(flight, signal);
+    return { value, status: skip ? 'BYPASS' : 'MISS', age: 0 };
+  }
+
+  // The flight's result for one caller. The last caller to abort aborts the
+  // call, and takes it out of inFlight so later requests start afresh.
+  function wait(flight, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    flight.waiters++;
+
+    return new Promise((resolve, reject) => {
+      let left = false;
+      const leave = () => {
+        left = true;
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        if (--flight.waiters === 0) {
+          flight.forget();
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      flight.promise.then(
+        value => {
+          if (!left) {
+            leave();
+            resolve(value);
+          }
+        },
+        error => {
+          if (!left) {
+            leave();
+            reject(error);
+          }
+        }
+      );
+    });
+  }
+
+  return {
+    status,
+    run,
+    backend: backend.name,
+    ttlSeconds
+  };
+}
+
+// ============================================
+// Keys
+// ============================================
+
+// Hash of everything that shapes the result: prompt, organization, context
+// ids (order doesn't matter), model settings and data sources. Whitespace
+// differences don't count.
+// `scope` is { workspace, keySource, apiKey }: results are only shared within
+// a workspace, on the same kind of key, since they were paid for with its
+// keys and quota. A key sent by the caller is part of the scope too (as a
+// hash), so a result is never served to someone holding a different key.
+// Without a scope the hash describes the request alone, as audit entries use it.
+function researchCacheKey(input, scope = null) {
+  const normalized = {
+    prompt: normalizeText(input.prompt),
+    orgDescription: normalizeText(input.orgDescription),
+    orgProfile: input.orgProfile ? describeProfile(input.orgProfile) : null,
+    contextParameters: (input.contextParameters || []).map(ctx => ctx.id).sort(),
+    llmOptions: input.llmOptions || null,
+    sources: {
+      candid: Boolean(input.useCandid),
+      federal: Boolean(input.useFederal)
+    }
+  };
+  if (scope) {
+    normalized.scope = {
+      workspace: scope.workspace,
+      keySource: scope.keySource,
+      key: scope.keySource === 'header' ? hash(String(scope.apiKey)) : null
+    };
+  }
+
+  return hash(JSON.stringify(normalized));
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function normalizeText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ');
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createResearchCache, researchCacheKey };
@@ -0,0 +1,333 @@
+// schedule-store.js
+// Saved searches that re-run on a daily, weekly or monthly schedule, with
+// what each run found so the next one can tell which grants are new
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./data-store');
+const { webhookHostProblem } = require('./digest-notifier');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// The research inputs a saved search keeps; validated like a combined
+// research request when it is saved and again each time it runs
+const SEARCH_FIELDS = [
+  'prompt',
+  'orgDescription',
+  'profileId',
+  'contextParameters',
+  'useCandid',
+  'useFederal',
+  'model',
+  'temperature',
+  'maxTokens',
+  'systemPrompt'
+];
+
+const MAX_SEARCHES_PER_OWNER = 50;
+const MAX_RECIPIENTS = 20;
+
+// How often the scheduler looks for searches that are due
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULE_POLL_MS, 10) || 60 * 1000;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const store = createJsonStore('scheduled-searches', { searches: [] });
+
+// Validate a create/update body: name, search, schedule, recipients,
+// webhookUrl and enabled. Only fields present in the body are returned;
+// name, search and schedule are required on create. Throws with a
+// user-facing message.
+function resolveScheduleFields(body = {}, { create = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || create) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      throw new Error('name is required');
+    }
+    fields.name = name.slice(0, 200);
+  }
+
+  if (body.search !== undefined || create) {
+    if (!body.search || typeof body.search !== 'object' || Array.isArray(body.search)) {
+      throw new Error('search must be an object with the research inputs (prompt, contextParameters, ...)');
+    }
+    fields.search = Object.fromEntries(SEARCH_FIELDS
+      .filter(field => body.search[field] !== undefined)
+      .map(field => [field, body.search[field]]));
+  }
+
+  if (body.schedule !== undefined || create) {
+    fields.schedule = resolveSchedule(body.schedule);
+  }
+
+  if (body.recipients !== undefined) {
+    if (!Array.isArray(body.recipients)) {
+      throw new Error('recipients must be a list of email addresses');
+    }
+    const recipients = [...new Set(body.recipients.map(email => String(email).trim().toLowerCase()))];
+    const invalid = recipients.find(email => !EMAIL.test(email));
+    if (invalid !== undefined) {
+      throw new Error(`"${invalid}" is not an email address`);
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+      throw new Error(`A search can have at most ${MAX_RECIPIENTS} recipients`);
+    }
+    fields.recipients = recipients;
+  }
+
+  if (body.webhookUrl !== undefined) {
+    fields.webhookUrl = resolveWebhookUrl(body.webhookUrl);
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    fields.enabled = body.enabled;
+  }
+
+  return fields;
+}
+
+// { frequency, hour, dayOfWeek, dayOfMonth }. Times are UTC; weekly runs
+// default to Monday and monthly ones to the 1st, at 08:00.
+function resolveSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new Error(`schedule is required, e.g. { "frequency": "weekly", "dayOfWeek": 1, "hour": 8 }`);
+  }
+  if (!FREQUENCIES.includes(schedule.frequency)) {
+    throw new Error(`schedule.frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const resolved = {
+    frequency: schedule.frequency,
+    hour: wholeNumber(schedule.hour, 'schedule.hour', 0, 23, 8)
+  };
+  if (schedule.frequency === 'weekly') {
+    resolved.dayOfWeek = wholeNumber(schedule.dayOfWeek, 'schedule.dayOfWeek (0 = Sunday)', 0, 6, 1);
+  }
+  if (schedule.frequency === 'monthly') {
+    // Capped at 28 so every month has the day
+    resolved.dayOfMonth = wholeNumber(schedule.dayOfMonth, 'schedule.dayOfMonth', 1, 28, 1);
+  }
+  return resolved;
+}
+
+function wholeNumber(value, field, min, max, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// http(s) to a public host only; null or '' removes the webhook
+function resolveWebhookUrl(value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new Error('webhookUrl must be an http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('webhookUrl must be an http or https URL');
+  }
+  const problem = webhookHostProblem(url.toString());
+  if (problem) {
+    throw new Error(problem);
+  }
+  return url.toString();
+}
+
+// The first time the schedule fires after `from`
+function nextRunAfter(schedule, from = new Date()) {
+  const next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), schedule.hour));
+
+  if (schedule.frequency === 'daily') {
+    if (next <= from) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+  } else if (schedule.frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + (schedule.dayOfWeek - next.getUTCDay() + 7) % 7);
+    if (next <= from) {
+      next.setUTCDate(next.getUTCDate() + 7);
+    }
+  } else {
+    next.setUTCDate(schedule.dayOfMonth);
+    if (next <= from) {
+      next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+  }
+  return next.toISOString();
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function listSearches(owner) {
+  return store.read().searches
+    .filter(search => search.owner === owner)
+    .map(toPublic)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getSearch(owner, id) {
+  const search = findSearch(owner, id);
+  return search ? toPublic(search) : null;
+}
+
+function findSearch(owner, id) {
+  return store.read().searches.find(s => s.id === id && s.owner === owner) || null;
+}
+
+// `fields` comes from resolveScheduleFields(body, { create: true }). Runs are
+// charged to, and need the workspace membership of, `runAs`.
+function createSearch(owner, runAs, fields) {
+  if (store.read().searches.filter(s => s.owner === owner).length >= MAX_SEARCHES_PER_OWNER) {
+    throw new Error(`A workspace can have at most ${MAX_SEARCHES_PER_OWNER} scheduled searches`);
+  }
+
+  const now = new Date().toISOString();
+  const search = {
+    id: crypto.randomUUID(),
+    owner,
+    runAs,
+    name: fields.name,
+    search: fields.search,
+    schedule: fields.schedule,
+    recipients: fields.recipients || [runAs],
+    webhookUrl: fields.webhookUrl || null,
+    enabled: fields.enabled !== false,
+    nextRunAt: nextRunAfter(fields.schedule),
+    lastJobId: null,
+    lastRun: null,
+    // Identities of the grants the last successful run found; null until then
+    lastGrantKeys: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.update(data => {
+    data.searches.push(search);
+  });
+  return toPublic(search);
+}
+
+// The user who changes a search becomes the one it runs as
+function updateSearch(owner, id, fields, runAs) {
+  return store.update(data => {
+    const search = data.searches.find(s => s.id === id && s.owner === owner);
+    if (!search) {
+      return null;
+    }
+    Object.assign(search, fields, { runAs, updatedAt: new Date().toISOString() });
+    if (fields.schedule || fields.enabled) {
+      search.nextRunAt = nextRunAfter(search.schedule);
+    }
+    return toPublic(search);
+  });
+}
+
+function deleteSearch(owner, id) {
+  return store.update(data => {
+    const before = data.searches.length;
+    data.searches = data.searches.filter(s => !(s.id === id && s.owner === owner));
+    return data.searches.length < before;
+  });
+}
+
+// Remember the job a run was queued as
+function markQueued(id, jobId) {
+  updateStored(id, search => {
+    search.lastJobId = jobId;
+  });
+}
+
+// Record how a run ended: { status, jobId, runId, error, newGrantCount,
+// delivery }. `grantKeys` replaces the set the next run is compared with.
+function recordOutcome(id, { grantKeys, ...outcome }) {
+  updateStored(id, search => {
+    search.lastRun = { finishedAt: new Date().toISOString(), ...outcome };
+    if (grantKeys) {
+      search.lastGrantKeys = grantKeys;
+    }
+  });
+}
+
+// The identities found by the last successful run of `id`, or null
+function previousGrantKeys(owner, id) {
+  return findSearch(owner, id)?.lastGrantKeys || null;
+}
+
+function updateStored(id, fn) {
+  store.update(data => {
+    const search = data.searches.find(s => s.id === id);
+    if (search) {
+      fn(search);
+    }
+  });
+}
+
+// The stored grant identities are only for comparing runs
+function toPublic(search) {
+  const { lastGrantKeys, ...rest } = search;
+  return rest;
+}
+
+// ============================================
+// Scheduler
+// ============================================
+
+// Enabled searches whose time has come, moved on to their next run. A search
+// missed while the server was down runs once when it comes back.
+function claimDueSearches(now = new Date()) {
+  const due = store.read().searches.filter(s => s.enabled && Date.parse(s.nextRunAt) <= now.getTime());
+  if (due.length === 0) {
+    return [];
+  }
+
+  const ids = new Set(due.map(s => s.id));
+  return store.update(data => data.searches
+    .filter(search => ids.has(search.id))
+    .map(search => {
+      search.nextRunAt = nextRunAfter(search.schedule, now);
+      return toPublic(search);
+    }));
+}
+
+// Call onDue(search) for each search as it comes due. Errors are logged
+// and don't stop the scheduler.
+function startScheduler(onDue) {
+  const tick = () => {
+    try {
+      claimDueSearches().forEach(search => onDue(search));
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  };
+  tick();
+  return setInterval(tick, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  resolveScheduleFields,
+  nextRunAfter,
+  listSearches,
+  getSearch,
+  createSearch,
+  updateSearch,
+  deleteSearch,
+  markQueued,
+  recordOutcome,
+  previousGrantKeys,
+  startScheduler,
+  FREQUENCIES
+};
@@ -0,0 +1,208 @@
+// secret-box.js
+// Encryption at rest for stored credentials: AES-256-GCM under a master key
+// from SECRETS_MASTER_KEY or a local keyfile, plus masking for display and logs
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-store');
+
+// Used when SECRETS_MASTER_KEY isn't set; created on first use. Keep it out
+// of backups of the data directory, or point SECRETS_KEY_FILE elsewhere.
+const KEY_FILE = process.env.SECRETS_KEY_FILE || path.join(DATA_DIR, 'master.key');
+
+// Written by a rotation before anything is re-encrypted, and renamed over
+// KEY_FILE once it has finished
+const NEXT_KEY_FILE = `${KEY_FILE}.next`;
+
+const ALGORITHM = 'aes-256-gcm';
+
+// ============================================
+// Master keys
+// ============================================
+
+// A key is 32 bytes, given as base64 or hex
+function parseKey(text, source) {
+  const value = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${source} must be a 32-byte key in base64 or hex`);
+  }
+  return key;
+}
+
+// Short id stored with each secret, so the right key can be found after a rotation
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function readKeyFile(filePath) {
+  try {
+    return parseKey(fs.readFileSync(filePath, 'utf8'), filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function writeKeyFile(filePath, key) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, key.toString('base64') + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+function statMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+let keyringCache = null;
+let keyringStamp = null;
+
+// { current: { kid, key }, keys: Map(kid -> key) }. Secrets are written with
+// the current key and read with whichever key their kid names. The keyfiles
+// are re-read when they change, so a rotation run from the CLI reaches the
+// server without a restart.
+function loadKeyring() {
+  if (process.env.SECRETS_MASTER_KEY) {
+    if (!keyringCache || keyringStamp !== 'env') {
+      const current = parseKey(process.env.SECRETS_MASTER_KEY, 'SECRETS_MASTER_KEY');
+      const previous = (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').filter(Boolean)
+        .map(text => parseKey(text, 'SECRETS_PREVIOUS_MASTER_KEYS'));
+      keyringCache = buildKeyring(current, previous);
+      keyringStamp = 'env';
+    }
+    return keyringCache;
+  }
+
+  const stamp = `${statMtime(KEY_FILE)}:${statMtime(NEXT_KEY_FILE)}`;
+  if (keyringCache && keyringStamp === stamp) {
+    return keyringCache;
+  }
+
+  let key = readKeyFile(KEY_FILE);
+  if (!key) {
+    key = crypto.randomBytes(32);
+    writeKeyFile(KEY_FILE, key);
+    console.log(`Created master key ${KEY_FILE}; back it up, since stored API keys can't be read without it`);
+  }
+  const next = readKeyFile(NEXT_KEY_FILE);
+
+  keyringCache = next ? buildKeyring(next, [key]) : buildKeyring(key, []);
+  keyringStamp = `${statMtime(KEY_FILE)}:${statMtime(NEXT_KEY_FILE)}`;
+  return keyringCache;
+}
+
+function buildKeyring(current, previous) {
+  const keys = new Map([current, ...previous].map(key => [keyId(key), key]));
+  return { current: { kid: keyId(current), key: current }, keys };
+}
+
+// ============================================
+// Secrets
+// ============================================
+// A stored secret is { kid, iv, tag, data, hint }. `context` (e.g. the
+// owner's email and the field) is bound in as associated data, so a secret
+// copied onto another user or field fails to decrypt. `hint` is the last
+// four characters, for display, kept only for secrets long enough to hide.
+
+function isEncrypted(value) {
+  return Boolean(value && typeof value === 'object' && value.kid && value.data);
+}
+
+function encryptSecret(plaintext, context) {
+  if (!plaintext) {
+    return null;
+  }
+
+  const { current } = loadKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    kid: current.kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    hint: plaintext.length >= 16 ? plaintext.slice(-4) : null
+  };
+}
+
+// Plaintext strings (stored before encryption was added) come back as they are
+function decryptSecret(value, context) {
+  if (!value || typeof value === 'string') {
+    return value || null;
+  }
+
+  const key = loadKeyring().keys.get(value.kid);
+  if (!key) {
+    throw new Error(`No master key with id ${value.kid} is configured; was the key rotated or replaced?`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(value.iv, 'base64'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// True when the secret is plaintext or under an older key
+function needsEncryption(value) {
+  return Boolean(value) && (!isEncrypted(value) || value.kid !== loadKeyring().current.kid);
+}
+
+// "…abcd" for display; never more than the last four characters
+function maskSecret(value) {
+  if (!value) {
+    return null;
+  }
+  const hint = isEncrypted(value) ? value.hint : value.length >= 16 ? value.slice(-4) : null;
+  return `…${hint || ''}`;
+}
+
+// Mask anything shaped like an Anthropic key in text bound for logs or clients
+function redactSecrets(text) {
+  return String(text).replace(/sk-ant-[\w-]{4,}/g, match => maskSecret(match));
+}
+
+// ============================================
+// Rotation
+// ============================================
+
+// Re-encrypt every stored secret under a new master key. `reencryptAll`
+// rewrites them with the current key and returns how many it changed.
+// With a keyfile, the new key is written to <keyfile>.next first and only
+// replaces the keyfile once everything is re-encrypted, so an interrupted
+// rotation can still read every secret and simply be run again. With
+// SECRETS_MASTER_KEY, set the new key there and the old one in
+// SECRETS_PREVIOUS_MASTER_KEYS before rotating.
+function rotateMasterKey(reencryptAll) {
+  if (process.env.SECRETS_MASTER_KEY) {
+    return { kid: loadKeyring().current.kid, reencrypted: reencryptAll(), keyFile: null };
+  }
+
+  loadKeyring();
+  if (!fs.existsSync(NEXT_KEY_FILE)) {
+    writeKeyFile(NEXT_KEY_FILE, crypto.randomBytes(32));
+  }
+  const { kid } = loadKeyring().current;
+  const reencrypted = reencryptAll();
+  fs.renameSync(NEXT_KEY_FILE, KEY_FILE);
+
+  return { kid, reencrypted, keyFile: KEY_FILE };
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  needsEncryption,
+  maskSecret,
+  redactSecrets,
+  rotateMasterKey
+};
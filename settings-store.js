@@ -0,0 +1,92 @@
+// settings-store.js
+// Server settings admins change at runtime through the admin API: for now,
+// the API rate limit for each role and the window it counts over
+
+const { createJsonStore } = require('./data-store');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// The number of requests allowed in each window is set per role, with
+// callers who have no session counted as "anonymous". Loading the app makes
+// a dozen calls, so signed-in roles get room for a working session.
+const DEFAULT_WINDOW_MS = envInt('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000);
+const DEFAULT_RATE_LIMITS = {
+  anonymous: 100,
+  viewer: 500,
+  researcher: 1000,
+  admin: 2000
+};
+// RATE_LIMIT_MAX, when set, replaces the default for every role
+const RATE_LIMIT_MAX = envInt('RATE_LIMIT_MAX', null);
+const RATE_LIMIT_TIERS = Object.keys(DEFAULT_RATE_LIMITS);
+const MAX_RATE_LIMIT = 100000;
+const MIN_WINDOW_MS = 1000;
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('settings', { rateLimits: {}, windowMs: null, updatedAt: null, updatedBy: null });
+
+// The window and requests per window for each tier, with when and by whom
+// they were last changed
+function getRateLimits() {
+  const data = store.read();
+  return {
+    windowMs: data.windowMs || DEFAULT_WINDOW_MS,
+    limits: Object.fromEntries(RATE_LIMIT_TIERS.map(tier => [tier, data.rateLimits[tier] || RATE_LIMIT_MAX || DEFAULT_RATE_LIMITS[tier]])),
+    updatedAt: data.updatedAt,
+    updatedBy: data.updatedBy
+  };
+}
+
+// Validate a body of { tier: requests, windowMs }. Anything left out keeps
+// its value; null puts it back on the default.
+function resolveRateLimits(body = {}) {
+  const changes = {};
+  for (const [tier, value] of Object.entries(body)) {
+    if (tier === 'windowMs') {
+      if (value !== null && (!Number.isInteger(value) || value < MIN_WINDOW_MS || value > MAX_WINDOW_MS)) {
+        throw new Error(`windowMs must be a whole number of milliseconds between ${MIN_WINDOW_MS} and ${MAX_WINDOW_MS}`);
+      }
+      changes.windowMs = value;
+      continue;
+    }
+    if (!RATE_LIMIT_TIERS.includes(tier)) {
+      throw new Error(`Rate limits are set for ${RATE_LIMIT_TIERS.join(', ')}, and windowMs`);
+    }
+    if (value === null) {
+      changes[tier] = null;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT) {
+      throw new Error(`${tier} must be a whole number of requests between 1 and ${MAX_RATE_LIMIT}`);
+    }
+    changes[tier] = value;
+  }
+  return changes;
+}
+
+function setRateLimits(changes, updatedBy) {
+  store.update(data => {
+    for (const [tier, value] of Object.entries(changes)) {
+      if (tier === 'windowMs') {
+        data.windowMs = value;
+      } else if (value === null) {
+        delete data.rateLimits[tier];
+      } else {
+        data.rateLimits[tier] = value;
+      }
+    }
+    data.updatedAt = new Date().toISOString();
+    data.updatedBy = updatedBy;
+  });
+  return getRateLimits();
+}
+
+module.exports = {
+  getRateLimits,
+  resolveRateLimits,
+  setRateLimits,
+  RATE_LIMIT_TIERS
+};
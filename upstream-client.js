@@ -0,0 +1,264 @@
+// upstream-client.js
+// Shared HTTP client for Anthropic and Candid: per-service timeouts, retries
+// with backoff, a circuit breaker, and errors with stable codes
+
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const { redactSecrets } = require('./secret-box');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const SERVICES = {
+  anthropic: {
+    label: 'Claude',
+    timeoutMs: envInt('ANTHROPIC_TIMEOUT_MS', 120 * 1000),
+    maxRetries: envInt('ANTHROPIC_MAX_RETRIES', 3)
+  },
+  candid: {
+    label: 'Candid',
+    timeoutMs: envInt('CANDID_TIMEOUT_MS', 30 * 1000),
+    maxRetries: envInt('CANDID_MAX_RETRIES', 2)
+  }
+};
+
+// Full-jitter exponential backoff: a random wait up to base * 2^attempt
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8 * 1000;
+
+// A retry-after longer than this goes back to the caller instead of waiting
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+// Consecutive failures that open a service's breaker, and how long it stays open
+const BREAKER_THRESHOLD = envInt('UPSTREAM_BREAKER_THRESHOLD', 5);
+const BREAKER_COOLDOWN_MS = envInt('UPSTREAM_BREAKER_COOLDOWN_MS', 30 * 1000);
+
+// HTTP status our API answers with for each error code
+const ERROR_STATUS = {
+  UPSTREAM_RATE_LIMITED: 429,
+  UPSTREAM_AUTH_FAILED: 502,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_ERROR: 502,
+  INVALID_REQUEST: 400
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// An Error with a stable `code`, the `status` to answer with, the `service`
+// that failed and, when known, `retryAfter` in seconds
+function createUpstreamError(code, message, { service, upstreamStatus = null, retryAfter = null } = {}) {
+  const error = new Error(message);
+  error.name = 'UpstreamError';
+  error.code = code;
+  error.status = ERROR_STATUS[code];
+  error.service = service;
+  error.upstreamStatus = upstreamStatus;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function isUpstreamError(error) {
+  return error?.name === 'UpstreamError';
+}
+
+// ============================================
+// Circuit breaker
+// ============================================
+// Closed: requests flow. After BREAKER_THRESHOLD consecutive failures it opens
+// and requests fail fast. Once the cooldown passes one trial request goes
+// through (half-open); success closes it, failure opens it again.
+const breakers = Object.fromEntries(Object.keys(SERVICES).map(name => [
+  name,
+  { failures: 0, openUntil: 0, trialInFlight: false }
+]));
+
+function enterBreaker(serviceName) {
+  const breaker = breakers[serviceName];
+  if (breaker.failures < BREAKER_THRESHOLD) {
+    return;
+  }
+
+  const waitMs = breaker.openUntil - Date.now();
+  if (waitMs > 0 || breaker.trialInFlight) {
+    const retryAfter = Math.max(Math.ceil(waitMs / 1000), 1);
+    throw createUpstreamError(
+      'UPSTREAM_UNAVAILABLE',
+      `${SERVICES[serviceName].label} is failing repeatedly; requests are paused for ${retryAfter}s`,
+      { service: serviceName, retryAfter }
+    );
+  }
+  breaker.trialInFlight = true;
+}
+
+function recordSuccess(serviceName) {
+  Object.assign(breakers[serviceName], { failures: 0, openUntil: 0, trialInFlight: false });
+}
+
+function recordFailure(serviceName) {
+  const breaker = breakers[serviceName];
+  breaker.failures++;
+  breaker.trialInFlight = false;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+  }
+}
+
+function breakerStatus() {
+  return Object.fromEntries(Object.entries(breakers).map(([name, breaker]) => [
+    name,
+    breaker.failures < BREAKER_THRESHOLD ? 'closed' : breaker.openUntil > Date.now() ? 'open' : 'half-open'
+  ]));
+}
+
+// ============================================
+// Requests
+// ============================================
+
+// axios.request() with the service's timeout, retries and breaker. Cancelling
+// through config.signal rejects with axios's own cancel error, unwrapped.
+async function upstreamRequest(serviceName, config) {
+  const service = SERVICES[serviceName];
+
+  for (let attempt = 0; ; attempt++) {
+    enterBreaker(serviceName);
+
+    let upstreamError;
+    try {
+      const response = await axios.request({ timeout: service.timeoutMs, ...config });
+      recordSuccess(serviceName);
+      return response;
+    } catch (error) {
+      if (axios.isCancel(error) || config.signal?.aborted) {
+        breakers[serviceName].trialInFlight = false;
+        throw error;
+      }
+      upstreamError = await toUpstreamError(serviceName, error);
+    }
+
+    // Rate limits and bad requests are about the caller, not the service's health
+    if (['UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT'].includes(upstreamError.code)) {
+      recordFailure(serviceName);
+    } else {
+      breakers[serviceName].trialInFlight = false;
+    }
+
+    const retryable = upstreamError.code !== 'UPSTREAM_TIMEOUT' && (
+      RETRYABLE_STATUSES.includes(upstreamError.upstreamStatus) ||
+      (upstreamError.upstreamStatus === null && upstreamError.code === 'UPSTREAM_UNAVAILABLE')
+    );
+    const delayMs = retryDelay(attempt, upstreamError.retryAfter);
+    if (!retryable || attempt >= service.maxRetries || delayMs === null) {
+      throw upstreamError;
+    }
+
+    console.warn(`${service.label} request failed (${upstreamError.message}); retry ${attempt + 1} of ${service.maxRetries} in ${delayMs}ms`);
+    await sleep(delayMs, config.signal);
+  }
+}
+
+// Milliseconds before the next attempt, or null when retry-after is too long
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter !== null) {
+    const ms = retryAfter * 1000;
+    return ms <= MAX_RETRY_AFTER_MS ? ms : null;
+  }
+  return Math.floor(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError('Request aborted during retry backoff'));
+    }, { once: true });
+  });
+}
+
+// Map an axios error onto our error codes
+async function toUpstreamError(serviceName, error) {
+  const { label } = SERVICES[serviceName];
+  const service = serviceName;
+
+  if (!error.response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return createUpstreamError('UPSTREAM_TIMEOUT', `${label} did not respond in time`, { service });
+    }
+    if (NETWORK_ERRORS.includes(error.code)) {
+      return createUpstreamError('UPSTREAM_UNAVAILABLE', `Could not reach ${label} (${error.code})`, { service });
+    }
+    return createUpstreamError('UPSTREAM_ERROR', `${label} request failed: ${error.message}`, { service });
+  }
+
+  // Streamed responses carry their error body as a stream too
+  if (error.response.data?.on) {
+    error.response.data = await readJsonStream(error.response.data);
+  }
+
+  const upstreamStatus = error.response.status;
+  const detail = upstreamMessage(error.response.data);
+  const details = { service, upstreamStatus, retryAfter: parseRetryAfter(error.response.headers?.['retry-after']) };
+
+  if (upstreamStatus === 401 || upstreamStatus === 403) {
+    return createUpstreamError('UPSTREAM_AUTH_FAILED', `${label} rejected the API key${detail ? `: ${detail}` : ''}`, details);
+  }
+  if (upstreamStatus === 429) {
+    return createUpstreamError('UPSTREAM_RATE_LIMITED', `${label} rate limit reached${detail ? `: ${detail}` : ''}`, details);
+  }
+  if (upstreamStatus === 408) {
+    return createUpstreamError('UPSTREAM_TIMEOUT', `${label} did not respond in time`, details);
+  }
+  if (upstreamStatus >= 500) {
+    return createUpstreamError('UPSTREAM_UNAVAILABLE', `${label} is unavailable (${upstreamStatus})${detail ? `: ${detail}` : ''}`, details);
+  }
+  return createUpstreamError('INVALID_REQUEST', detail || `${label} rejected the request (${upstreamStatus})`, details);
+}
+
+// Anthropic sends { error: { message } }; Candid sends { message } or { error }.
+// Anything key-shaped is masked, since these messages reach logs and clients.
+function upstreamMessage(data) {
+  if (!data || typeof data !== 'object') {
+    return typeof data === 'string' ? redactSecrets(data.slice(0, 300)) : null;
+  }
+  const message = data.error?.message || data.message || (typeof data.error === 'string' ? data.error : null);
+  return message ? redactSecrets(message) : null;
+}
+
+// Seconds from a retry-after header (delta-seconds or an HTTP date)
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(Math.ceil(seconds), 0);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(Math.ceil((date - Date.now()) / 1000), 0) : null;
+}
+
+async function readJsonStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let raw = '';
+  for await (const chunk of stream) {
+    raw += decoder.write(chunk);
+  }
+  raw += decoder.end();
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+module.exports = {
+  upstreamRequest,
+  createUpstreamError,
+  toUpstreamError,
+  isUpstreamError,
+  breakerStatus
+};
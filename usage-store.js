@@ -0,0 +1,284 @@
+// usage-store.js
+// Token metering: usage and cost of every model call, per user, workspace
+// and route, plus daily / monthly quotas per user or workspace
+
+const crypto = require('crypto');
+const { createJsonStore, getEntry, setEntry } = require('./data-store');
+
+// USD per million tokens. CLAUDE_PRICES (JSON, same shape) adds or overrides
+// models, e.g. {"claude-opus-4-1-20250805":{"input":15,"output":75}}
+const DEFAULT_PRICES = {
+  'claude-opus-4-1-20250805': { input: 15, output: 75 },
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 }
+};
+
+const PRICES = { ...DEFAULT_PRICES, ...JSON.parse(process.env.CLAUDE_PRICES || '{}') };
+for (const [model, price] of Object.entries(PRICES)) {
+  if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+    throw new Error(`CLAUDE_PRICES entry for "${model}" needs numeric input and output prices`);
+  }
+}
+
+// A quota may limit tokens, cost (USD) or both, per UTC day and month
+const QUOTA_LIMITS = ['dailyTokens', 'monthlyTokens', 'dailyCost', 'monthlyCost'];
+
+// Records older than this are pruned, so the file stays bounded
+const RETENTION_DAYS = 400;
+
+const store = createJsonStore('usage', { records: [], quotas: { users: {}, workspaces: {} } });
+
+const warnedModels = new Set();
+
+// Cost of one call in USD, or null when the model has no price
+function priceCall(model, inputTokens, outputTokens) {
+  const price = PRICES[model];
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`No price for model "${model}"; add it to CLAUDE_PRICES to meter its cost`);
+    }
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+// Record the `usage` block of a Messages API response.
+// `meter` is { owner, workspace, route } for the caller and workspace charged.
+function recordUsage(meter, message) {
+  const inputTokens = message?.usage?.input_tokens || 0;
+  const outputTokens = message?.usage?.output_tokens || 0;
+  const record = {
+    id: crypto.randomUUID(),
+    owner: meter.owner,
+    workspace: meter.workspace,
+    route: meter.route,
+    model: message?.model || null,
+    inputTokens,
+    outputTokens,
+    cost: priceCall(message?.model, inputTokens, outputTokens),
+    createdAt: new Date().toISOString()
+  };
+
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  store.update(data => {
+    data.records = data.records.filter(r => r.createdAt >= cutoff);
+    data.records.push(record);
+  });
+
+  return record;
+}
+
+function sumUsage(records) {
+  return records.reduce((total, r) => ({
+    requests: total.requests + 1,
+    inputTokens: total.inputTokens + r.inputTokens,
+    outputTokens: total.outputTokens + r.outputTokens,
+    cost: total.cost + (r.cost || 0)
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+}
+
+// ============================================
+// Quotas
+// ============================================
+
+// Validate a quota body; every limit is optional, null meaning unlimited
+function resolveQuota(body = {}) {
+  const quota = {};
+  for (const field of QUOTA_LIMITS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      quota[field] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    quota[field] = number;
+  }
+  return quota;
+}
+
+function getQuotas() {
+  return store.read().quotas;
+}
+
+// `kind` is 'users' or 'workspaces'. A quota with no limits removes the entry.
+function setQuota(kind, name, quota) {
+  return store.update(data => {
+    if (QUOTA_LIMITS.every(field => quota[field] === null)) {
+      if (getEntry(data.quotas[kind], name)) {
+        delete data.quotas[kind][name];
+      }
+      return null;
+    }
+    return setEntry(data.quotas[kind], name, { ...quota, updatedAt: new Date().toISOString() });
+  });
+}
+
+// Start of the current UTC day / month, and when each resets
+function periodBounds(now) {
+  const day = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const month = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  return {
+    daily: { start: new Date(day), resetsAt: new Date(day + 24 * 60 * 60 * 1000) },
+    monthly: { start: new Date(month), resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  };
+}
+
+// Usage so far today and this month for the caller and their workspace,
+// with the quota that applies to each
+function usageSummary(meter, now = new Date()) {
+  const data = store.read();
+  const bounds = periodBounds(now);
+
+  const summarize = (quota, match) => {
+    const records = data.records.filter(match);
+    return {
+      today: sumUsage(records.filter(r => r.createdAt >= bounds.daily.start.toISOString())),
+      month: sumUsage(records.filter(r => r.createdAt >= bounds.monthly.start.toISOString())),
+      quota: quota || null
+    };
+  };
+
+  return {
+    user: summarize(getEntry(data.quotas.users, meter.owner), r => r.owner === meter.owner),
+    workspace: summarize(getEntry(data.quotas.workspaces, meter.workspace), r => r.workspace === meter.workspace)
+  };
+}
+
+// Checked before each upstream call. Returns {} within quota, or
+// { status: 429, error, resetsAt } once a limit has been reached. The call
+// that crosses a limit is allowed, since its size isn't known up front.
+function checkQuota(meter, now = new Date()) {
+  const summary = usageSummary(meter, now);
+  const bounds = periodBounds(now);
+  const scopes = [
+    ['user', meter.owner, summary.user],
+    ['workspace', meter.workspace, summary.workspace]
+  ];
+
+  for (const [kind, name, scope] of scopes) {
+    if (!scope?.quota) {
+      continue;
+    }
+    for (const [period, used] of [['daily', scope.today], ['monthly', scope.month]]) {
+      const tokenLimit = scope.quota[`${period}Tokens`];
+      const costLimit = scope.quota[`${period}Cost`];
+      const tokens = used.inputTokens + used.outputTokens;
+
+      let detail = null;
+      if (tokenLimit !== null && tokens >= tokenLimit) {
+        detail = `${tokens.toLocaleString('en-US')} of ${tokenLimit.toLocaleString('en-US')} tokens used`;
+      } else if (costLimit !== null && used.cost >= costLimit) {
+        detail = `$${used.cost.toFixed(2)} of $${costLimit.toFixed(2)} used`;
+      }
+
+      if (detail) {
+        const resetsAt = bounds[period].resetsAt.toISOString();
+        const label = period === 'daily' ? 'Daily' : 'Monthly';
+        return {
+          status: 429,
+          error: `${label} usage quota reached for ${kind} ${name} (${detail}). It resets at ${resetsAt}`,
+          resetsAt
+        };
+      }
+    }
+  }
+
+  return {};
+}
+
+// One-time migration from teams to workspaces. `teams` maps each team name
+// to the workspace it became; usage from before then is charged to the
+// team's workspace, or to the user's personal one (named after their email).
+function migrateTeams(teams) {
+  const data = store.read();
+  if (!data.quotas.teams && data.records.every(r => r.workspace !== undefined)) {
+    return;
+  }
+
+  store.update(current => {
+    for (const record of current.records.filter(r => r.workspace === undefined)) {
+      record.workspace = record.team ? teams[record.team] || record.owner : record.owner;
+      delete record.team;
+    }
+    current.quotas.workspaces = current.quotas.workspaces || {};
+    for (const [team, quota] of Object.entries(current.quotas.teams || {})) {
+      if (teams[team]) {
+        current.quotas.workspaces[teams[team]] = quota;
+      }
+    }
+    delete current.quotas.teams;
+  });
+}
+
+// ============================================
+// Reports
+// ============================================
+
+const GROUP_KEYS = {
+  user: r => r.owner,
+  workspace: r => r.workspace,
+  route: r => r.route,
+  model: r => r.model || 'unknown',
+  day: r => r.createdAt.slice(0, 10)
+};
+
+// Totals between two YYYY-MM-DD dates (inclusive), grouped by user,
+// workspace, route, model or day. `owner` / `workspace` narrow the records first.
+function usageReport({ from, to, groupBy = 'user', owner, workspace } = {}) {
+  if (!GROUP_KEYS[groupBy]) {
+    throw new Error(`groupBy must be one of ${Object.keys(GROUP_KEYS).join(', ')}`);
+  }
+
+  const records = store.read().records.filter(r =>
+    (!from || r.createdAt.slice(0, 10) >= from) &&
+    (!to || r.createdAt.slice(0, 10) <= to) &&
+    (!owner || r.owner === owner) &&
+    (!workspace || r.workspace === workspace)
+  );
+
+  const groups = new Map();
+  for (const record of records) {
+    const key = GROUP_KEYS[groupBy](record);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+
+  return {
+    from: from || null,
+    to: to || null,
+    groupBy,
+    rows: [...groups.entries()]
+      .map(([key, group]) => ({ key, ...sumUsage(group) }))
+      .sort((a, b) => b.cost - a.cost || String(a.key).localeCompare(String(b.key))),
+    totals: sumUsage(records)
+  };
+}
+
+// Report rows for CSV export, with a totals line
+function usageReportRows(report) {
+  const row = (key, usage) => [key, usage.requests, usage.inputTokens, usage.outputTokens, usage.cost.toFixed(4)];
+  return [
+    [report.groupBy, 'Requests', 'Input Tokens', 'Output Tokens', 'Cost (USD)'],
+    ...report.rows.map(usage => row(usage.key, usage)),
+    row('Total', report.totals)
+  ];
+}
+
+module.exports = {
+  recordUsage,
+  resolveQuota,
+  getQuotas,
+  setQuota,
+  usageSummary,
+  checkQuota,
+  usageReport,
+  usageReportRows,
+  migrateTeams,
+  PRICES
+};
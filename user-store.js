@@ -0,0 +1,355 @@
+// user-store.js
+// Persistent users (bcrypt password hashes, roles) and sessions. API keys
+// belong to workspaces (see workspace-store.js).
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { createJsonStore, getEntry, setEntry } = require('./data-store');
+const { recordAudit, sessionRef } = require('./audit-log');
+const secretBox = require('./secret-box');
+
+const BCRYPT_ROUNDS = 12;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Least to most privileged; each role can do everything the ones before it can.
+// Viewers read, researchers also run research and change data, admins manage
+// users, sessions and limits.
+const ROLES = ['viewer', 'researcher', 'admin'];
+const DEFAULT_ROLE = 'researcher';
+
+// Compared against when the email is unknown, so lookups take constant time
+const DUMMY_HASH = bcrypt.hashSync('timing-equalizer', BCRYPT_ROUNDS);
+
+// Fields users had before workspaces; migrateUsers() in workspace-store.js
+// moves them onto workspaces
+const LEGACY_FIELDS = ['claudeApiKey', 'candidApiKey', 'team'];
+
+const userStore = createJsonStore('users', { users: {} });
+const sessionStore = createJsonStore('sessions', { sessions: {} });
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// ============================================
+// Users
+// ============================================
+
+function getUser(email) {
+  return getEntry(userStore.read().users, normalizeEmail(email));
+}
+
+function listUsers() {
+  return Object.values(userStore.read().users);
+}
+
+// Users created before roles existed are researchers
+function roleOf(user) {
+  return user?.role || DEFAULT_ROLE;
+}
+
+// True when `role` includes everything `required` allows
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+// What the admin API shows; never the password hash
+function publicUser(user) {
+  return {
+    email: user.email,
+    role: roleOf(user),
+    disabled: user.disabled,
+    createdAt: new Date(user.createdAt).toISOString(),
+    updatedAt: new Date(user.updatedAt).toISOString()
+  };
+}
+
+async function createUser(email, password, { role = DEFAULT_ROLE } = {}) {
+  const key = normalizeEmail(email);
+  if (!key || !password) {
+    throw new Error('Email and password are required');
+  }
+  validateRole(role);
+  if (getUser(key)) {
+    throw new Error(`User ${key} already exists`);
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const now = Date.now();
+
+  return userStore.update(data => setEntry(data.users, key, {
+    email: key,
+    passwordHash,
+    role,
+    disabled: false,
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+function updateUser(email, changes) {
+  const key = normalizeEmail(email);
+  return userStore.update(data => {
+    const user = getEntry(data.users, key);
+    if (!user) {
+      throw new Error(`User ${key} not found`);
+    }
+    Object.assign(user, changes, { updatedAt: Date.now() });
+    return user;
+  });
+}
+
+async function setPassword(email, password) {
+  if (!password) {
+    throw new Error('Password is required');
+  }
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const user = updateUser(email, { passwordHash });
+  // A reset should kick out anyone holding the old credentials
+  deleteSessionsForUser(email);
+  return user;
+}
+
+function setDisabled(email, disabled) {
+  const user = updateUser(email, { disabled: Boolean(disabled) });
+  if (disabled) {
+    deleteSessionsForUser(email);
+  }
+  return user;
+}
+
+// A user's keys (decrypted) and team from before workspaces, or null once
+// they've been moved
+function legacyFields(user) {
+  if (!LEGACY_FIELDS.some(field => field in user)) {
+    return null;
+  }
+  return {
+    claudeApiKey: secretBox.decryptSecret(user.claudeApiKey, `${user.email}:claudeApiKey`),
+    candidApiKey: secretBox.decryptSecret(user.candidApiKey, `${user.email}:candidApiKey`),
+    team: user.team || null
+  };
+}
+
+function clearLegacyFields(email) {
+  const key = normalizeEmail(email);
+  userStore.update(data => {
+    const user = getEntry(data.users, key);
+    if (user) {
+      for (const field of LEGACY_FIELDS) {
+        delete user[field];
+      }
+    }
+  });
+}
+
+// The new role applies to the user's open sessions right away
+function setRole(email, role) {
+  const user = updateUser(email, { role: validateRole(role) });
+  sessionStore.update(data => {
+    for (const session of Object.values(data.sessions)) {
+      if (session.email === user.email) {
+        session.role = role;
+      }
+    }
+  });
+  return user;
+}
+
+function deleteUser(email) {
+  const key = normalizeEmail(email);
+  const deleted = userStore.update(data => {
+    const user = getEntry(data.users, key);
+    if (user) {
+      delete data.users[key];
+    }
+    return user;
+  });
+  if (deleted) {
+    deleteSessionsForUser(key);
+  }
+  return deleted;
+}
+
+// True when `email` is the only enabled admin, so demoting, disabling or
+// deleting them would leave nobody able to manage users
+function isLastAdmin(email) {
+  const key = normalizeEmail(email);
+  const admins = listUsers().filter(user => !user.disabled && roleOf(user) === 'admin');
+  return admins.length === 1 && admins[0].email === key;
+}
+
+// One-time migration from ADMIN_EMAILS: listed users who never had a role
+// set become admins. Returns the emails that were promoted.
+function migrateAdminEmails(emails) {
+  const promoted = [];
+  for (const email of emails) {
+    const user = getUser(email);
+    if (user && !user.role) {
+      setRole(user.email, 'admin');
+      promoted.push(user.email);
+    }
+  }
+  return promoted;
+}
+
+// Returns the user when the password matches an enabled account, else null
+async function verifyCredentials(email, password) {
+  const user = getUser(email);
+  if (!user || !password) {
+    await bcrypt.compare(String(password || ''), DUMMY_HASH);
+    return null;
+  }
+
+  const matches = await bcrypt.compare(password, user.passwordHash);
+  return matches && !user.disabled ? user : null;
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+// `workspaceId` is the workspace the session starts in
+function createSession(email, workspaceId = null) {
+  const id = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+
+  return sessionStore.update(data => setEntry(data.sessions, id, {
+    id,
+    email: normalizeEmail(email),
+    role: roleOf(getUser(email)),
+    workspaceId,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS
+  }));
+}
+
+// Returns { session, user, role } for a live session, or { error } describing why not
+function getSession(id) {
+  const session = typeof id === 'string' ? getEntry(sessionStore.read().sessions, id) : null;
+
+  if (!session) {
+    return { error: 'Invalid session' };
+  }
+
+  if (session.expiresAt < Date.now()) {
+    deleteSession(id);
+    auditExpiry(session);
+    return { error: 'Session expired' };
+  }
+
+  const user = getUser(session.email);
+  if (!user || user.disabled) {
+    deleteSession(id);
+    return { error: 'Invalid session' };
+  }
+
+  return { session, user, role: session.role || roleOf(user) };
+}
+
+// The role of a live session, or null. Unlike getSession it changes nothing,
+// so it can be asked before the session is checked (as the rate limiter is).
+function sessionRole(id) {
+  const session = typeof id === 'string' ? getEntry(sessionStore.read().sessions, id) : null;
+  if (!session || session.expiresAt < Date.now()) {
+    return null;
+  }
+
+  const user = getUser(session.email);
+  return user && !user.disabled ? session.role || roleOf(user) : null;
+}
+
+function setSessionWorkspace(id, workspaceId) {
+  return sessionStore.update(data => {
+    const session = getEntry(data.sessions, id);
+    if (session) {
+      session.workspaceId = workspaceId;
+    }
+    return session;
+  });
+}
+
+// Live sessions, soonest to expire first
+function listSessions() {
+  const now = Date.now();
+  return Object.values(sessionStore.read().sessions)
+    .filter(session => session.expiresAt >= now)
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+function deleteSession(id) {
+  sessionStore.update(data => {
+    if (getEntry(data.sessions, id)) {
+      delete data.sessions[id];
+    }
+  });
+}
+
+// Returns how many sessions were ended
+function deleteSessionsForUser(email) {
+  const key = normalizeEmail(email);
+  return sessionStore.update(data => {
+    let count = 0;
+    for (const [id, session] of Object.entries(data.sessions)) {
+      if (session.email === key) {
+        delete data.sessions[id];
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+function purgeExpiredSessions() {
+  const now = Date.now();
+  const expired = sessionStore.update(data => {
+    const sessions = Object.values(data.sessions).filter(session => session.expiresAt < now);
+    for (const session of sessions) {
+      delete data.sessions[session.id];
+    }
+    return sessions;
+  });
+  expired.forEach(auditExpiry);
+}
+
+function auditExpiry(session) {
+  recordAudit('auth.session_expired', {
+    actor: session.email,
+    session: sessionRef(session.id),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  });
+}
+
+module.exports = {
+  getUser,
+  listUsers,
+  createUser,
+  setPassword,
+  setDisabled,
+  legacyFields,
+  clearLegacyFields,
+  setRole,
+  deleteUser,
+  isLastAdmin,
+  migrateAdminEmails,
+  roleOf,
+  hasRole,
+  publicUser,
+  verifyCredentials,
+  createSession,
+  getSession,
+  sessionRole,
+  setSessionWorkspace,
+  listSessions,
+  deleteSession,
+  deleteSessionsForUser,
+  purgeExpiredSessions,
+  ROLES
+};
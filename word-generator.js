@@ -4,19 +4,109 @@
 const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell,
         Header, Footer, AlignmentType, BorderStyle, WidthType, ShadingType,
         PageNumber, LevelFormat, HeadingLevel } = require('docx');
-const fs = require('fs');
 
 // CRITICAL: Follow docx skill guidelines
-// - US Letter page size (12240 x 15840 DXA)
+// - US Letter page size (12240 x 15840 DXA) unless A4 is requested
 // - Arial font throughout
 // - Use LevelFormat.BULLET for lists (never unicode bullets)
 // - Set table widths at both table and cell level
 
-async function generateGrantReportWord(data) {
-    const { text, orgDescription, contextParameters, timestamp } = data;
+// Page sizes in DXA (1440 per inch)
+const PAGE_SIZES = {
+    letter: { width: 12240, height: 15840 }, // 8.5 x 11 inches
+    a4: { width: 11906, height: 16838 }      // 210 x 297 mm
+};
+
+const PAGE_MARGIN = 1440; // 1 inch on every side
+const LABEL_COLUMN_WIDTH = 2800;
+
+const REPORT_SECTIONS = ['organizationProfile', 'searchParameters', 'grantOpportunities', 'pipelineSummary'];
+
+// Stage / Grants / Requested / Awarded columns of the pipeline table
+const PIPELINE_COLUMN_SHARES = [0.4, 0.14, 0.23, 0.23];
+
+const DEFAULT_REPORT_OPTIONS = {
+    pageSize: 'letter',
+    title: 'Grant Prospecting Report',
+    subtitle: null,
+    headingColors: {
+        heading1: '1e5f8c',
+        heading2: '2d8659'
+    },
+    sections: {
+        organizationProfile: true,
+        searchParameters: true,
+        grantOpportunities: true,
+        pipelineSummary: true
+    }
+};
+
+// Merge caller options over the defaults, rejecting values docx can't render.
+// Null options mean the defaults.
+function resolveReportOptions(options = {}) {
+    options = options ?? {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('options must be an object');
+    }
+    for (const field of ['title', 'subtitle', 'headerText']) {
+        if (options[field] !== undefined && options[field] !== null && typeof options[field] !== 'string') {
+            throw new Error(`options.${field} must be a string`);
+        }
+    }
+    for (const field of ['headingColors', 'sections']) {
+        if (options[field] !== undefined && options[field] !== null && (typeof options[field] !== 'object' || Array.isArray(options[field]))) {
+            throw new Error(`options.${field} must be an object`);
+        }
+    }
+
+    const pageSize = String(options.pageSize || DEFAULT_REPORT_OPTIONS.pageSize).toLowerCase();
+    if (!PAGE_SIZES[pageSize]) {
+        throw new Error(`Unsupported page size "${options.pageSize}" (use "letter" or "a4")`);
+    }
+
+    const headingColors = { ...DEFAULT_REPORT_OPTIONS.headingColors };
+    for (const [key, color] of Object.entries(options.headingColors || {})) {
+        if (!(key in headingColors)) {
+            throw new Error(`Unknown heading color "${key}"`);
+        }
+        const hex = String(color).replace(/^#/, '');
+        if (!/^[0-9a-f]{6}$/i.test(hex)) {
+            throw new Error(`Heading color for ${key} must be a 6-digit hex value`);
+        }
+        headingColors[key] = hex;
+    }
+
+    const sections = { ...DEFAULT_REPORT_OPTIONS.sections };
+    for (const [key, enabled] of Object.entries(options.sections || {})) {
+        if (!REPORT_SECTIONS.includes(key)) {
+            throw new Error(`Unknown report section "${key}"`);
+        }
+        sections[key] = Boolean(enabled);
+    }
+
+    const title = options.title || DEFAULT_REPORT_OPTIONS.title;
+
+    return {
+        pageSize,
+        title,
+        subtitle: options.subtitle || null,
+        headerText: options.headerText || title,
+        headingColors,
+        sections
+    };
+}
+
+async function generateGrantReportWord(data, options = {}) {
+    const { text, summary, orgDescription, contextParameters, pipeline, timestamp } = data;
+    const profileDetails = data.profileDetails || [];
+    const report = resolveReportOptions(options);
+    const page = PAGE_SIZES[report.pageSize];
+    const contentWidth = page.width - (PAGE_MARGIN * 2);
     
-    // Parse the research text into grants (basic parser - enhance based on actual format)
-    const grants = parseGrantText(text);
+    // Prefer the structured grants from Claude; older results only have raw text
+    const grants = Array.isArray(data.grants)
+        ? data.grants.map(toReportGrant)
+        : parseGrantText(text || '');
     
     const doc = new Document({
         styles: {
@@ -32,7 +122,7 @@ async function generateGrantReportWord(data) {
                     basedOn: "Normal",
                     next: "Normal",
                     quickFormat: true,
-                    run: { size: 32, bold: true, font: "Arial", color: "1e5f8c" },
+                    run: { size: 32, bold: true, font: "Arial", color: report.headingColors.heading1 },
                     paragraph: { 
                         spacing: { before: 240, after: 240 },
                         outlineLevel: 0 
@@ -44,7 +134,7 @@ async function generateGrantReportWord(data) {
                     basedOn: "Normal",
                     next: "Normal",
                     quickFormat: true,
-                    run: { size: 28, bold: true, font: "Arial", color: "2d8659" },
+                    run: { size: 28, bold: true, font: "Arial", color: report.headingColors.heading2 },
                     paragraph: { 
                         spacing: { before: 180, after: 180 },
                         outlineLevel: 1 
@@ -88,16 +178,16 @@ async function generateGrantReportWord(data) {
             {
                 properties: {
                     page: {
-                        // CRITICAL: Use US Letter, not A4 default
+                        // CRITICAL: Always set the size explicitly, docx defaults to A4
                         size: {
-                            width: 12240,  // 8.5 inches
-                            height: 15840  // 11 inches
+                            width: page.width,
+                            height: page.height
                         },
                         margin: {
-                            top: 1440,    // 1 inch
-                            right: 1440,
-                            bottom: 1440,
-                            left: 1440
+                            top: PAGE_MARGIN,
+                            right: PAGE_MARGIN,
+                            bottom: PAGE_MARGIN,
+                            left: PAGE_MARGIN
                         }
                     }
                 },
@@ -108,7 +198,7 @@ async function generateGrantReportWord(data) {
                                 alignment: AlignmentType.RIGHT,
                                 children: [
                                     new TextRun({
-                                        text: "Grant Prospecting Report",
+                                        text: report.headerText,
                                         size: 20,
                                         color: "586069"
                                     })
@@ -143,9 +233,22 @@ async function generateGrantReportWord(data) {
                     new Paragraph({
                         heading: HeadingLevel.HEADING_1,
                         children: [
-                            new TextRun("Grant Prospecting Report")
+                            new TextRun(report.title)
                         ]
                     }),
+
+                    // Subtitle
+                    ...(report.subtitle ? [
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: report.subtitle,
+                                    size: 26,
+                                    italics: true
+                                })
+                            ]
+                        })
+                    ] : []),
                     
                     // Date
                     new Paragraph({
@@ -165,23 +268,26 @@ async function generateGrantReportWord(data) {
                     }),
 
                     // Organization Context section
-                    ...(orgDescription ? [
+                    ...(report.sections.organizationProfile && (orgDescription || profileDetails.length > 0) ? [
                         new Paragraph({
                             heading: HeadingLevel.HEADING_2,
                             children: [
                                 new TextRun("Organization Profile")
                             ]
                         }),
-                        new Paragraph({
-                            children: [
-                                new TextRun(orgDescription)
-                            ],
-                            spacing: { after: 240 }
-                        })
+                        ...(profileDetails.length > 0 ? [createProfileTable(profileDetails, contentWidth)] : []),
+                        ...(orgDescription ? [
+                            new Paragraph({
+                                children: [
+                                    new TextRun(orgDescription)
+                                ],
+                                spacing: { before: profileDetails.length > 0 ? 240 : 0, after: 240 }
+                            })
+                        ] : [])
                     ] : []),
 
                     // Search Parameters section
-                    ...(contextParameters && contextParameters.length > 0 ? [
+                    ...(report.sections.searchParameters && contextParameters && contextParameters.length > 0 ? [
                         new Paragraph({
                             heading: HeadingLevel.HEADING_2,
                             children: [
@@ -210,15 +316,38 @@ async function generateGrantReportWord(data) {
                     ] : []),
 
                     // Grant Opportunities section
-                    new Paragraph({
-                        heading: HeadingLevel.HEADING_2,
-                        children: [
-                            new TextRun("Grant Opportunities")
-                        ]
-                    }),
+                    ...(report.sections.grantOpportunities ? [
+                        new Paragraph({
+                            heading: HeadingLevel.HEADING_2,
+                            children: [
+                                new TextRun("Grant Opportunities")
+                            ]
+                        }),
+
+                        // Research summary
+                        ...(summary ? [
+                            new Paragraph({
+                                children: [
+                                    new TextRun(summary)
+                                ],
+                                spacing: { after: 240 }
+                            })
+                        ] : []),
+
+                        // Add grants
+                        ...createGrantSections(grants, contentWidth)
+                    ] : []),
 
-                    // Add grants
-                    ...createGrantSections(grants)
+                    // Pipeline Summary section (only when pipeline data is passed in)
+                    ...(report.sections.pipelineSummary && Array.isArray(pipeline) ? [
+                        new Paragraph({
+                            heading: HeadingLevel.HEADING_2,
+                            children: [
+                                new TextRun("Pipeline Summary")
+                            ]
+                        }),
+                        ...createPipelineSections(pipeline, contentWidth)
+                    ] : [])
                 ]
             }
         ]
@@ -227,7 +356,62 @@ async function generateGrantReportWord(data) {
     return await Packer.toBuffer(doc);
 }
 
-// Parse grant text into structured data
+// Map a validated grant (see grant-extraction.js) onto the report layout
+function toReportGrant(grant) {
+    return {
+        title: grant.programName,
+        organization: grant.funder,
+        amount: formatAmountRange(grant),
+        deadline: grant.deadlineNotes || (grant.deadline ? formatDate(grant.deadline) : 'Rolling / not specified'),
+        eligibility: grant.eligibility || null,
+        url: grant.url || null,
+        description: grant.rationale || '',
+        fit: grant.fit ? `${grant.fit.score}/100 – ${grant.fit.reason}` : null,
+        fitBreakdown: grant.fit
+            ? grant.fit.factors.map(factor => `${factor.label}: ${factor.points}/${factor.weight} – ${factor.reason}`)
+            : []
+    };
+}
+
+function formatAmountRange(grant) {
+    const { amountMin, amountMax } = grant;
+    if (amountMin === null && amountMax === null) {
+        return null;
+    }
+
+    const formatter = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: grant.currency || 'USD',
+        maximumFractionDigits: 0
+    });
+
+    if (amountMin !== null && amountMax !== null && amountMin !== amountMax) {
+        return `${formatter.format(amountMin)} – ${formatter.format(amountMax)}`;
+    }
+    if (amountMin === null) {
+        return `Up to ${formatter.format(amountMax)}`;
+    }
+    return formatter.format(amountMin);
+}
+
+function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        maximumFractionDigits: 0
+    }).format(amount);
+}
+
+function formatDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Parse grant text into structured data (fallback for results without a grants array)
 function parseGrantText(text) {
     const grants = [];
     
@@ -278,9 +462,23 @@ function extractDeadline(text) {
     return match ? match[1].trim() : null;
 }
 
+// Saved profile fields ({ label, value } rows) as a two-column table
+function createProfileTable(details, contentWidth) {
+    const valueWidth = contentWidth - LABEL_COLUMN_WIDTH;
+    const border = { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC" };
+    const borders = { top: border, bottom: border, left: border, right: border };
+
+    return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        columnWidths: [LABEL_COLUMN_WIDTH, valueWidth],
+        rows: details.map(row => createTableRow(row.label, row.value, borders, valueWidth))
+    });
+}
+
 // Create formatted grant sections
-function createGrantSections(grants) {
+function createGrantSections(grants, contentWidth) {
     const sections = [];
+    const valueWidth = contentWidth - LABEL_COLUMN_WIDTH;
     
     grants.forEach((grant, index) => {
         // Grant title
@@ -294,26 +492,36 @@ function createGrantSections(grants) {
         );
 
         // Grant details table if we have structured data
-        if (grant.organization || grant.amount || grant.deadline) {
+        if (grant.organization || grant.amount || grant.deadline || grant.eligibility || grant.url || grant.fit) {
             const border = { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC" };
             const borders = { top: border, bottom: border, left: border, right: border };
             
             const rows = [];
             
             if (grant.organization) {
-                rows.push(createTableRow("Organization", grant.organization, borders));
+                rows.push(createTableRow("Organization", grant.organization, borders, valueWidth));
             }
             if (grant.amount) {
-                rows.push(createTableRow("Amount", grant.amount, borders));
+                rows.push(createTableRow("Amount", grant.amount, borders, valueWidth));
             }
             if (grant.deadline) {
-                rows.push(createTableRow("Deadline", grant.deadline, borders));
+                rows.push(createTableRow("Deadline", grant.deadline, borders, valueWidth));
+            }
+            if (grant.eligibility) {
+                rows.push(createTableRow("Eligibility", grant.eligibility, borders, valueWidth));
+            }
+            if (grant.url) {
+                rows.push(createTableRow("Website", grant.url, borders, valueWidth));
+            }
+            if (grant.fit) {
+                rows.push(createTableRow("Fit Score", grant.fit, borders, valueWidth));
+                rows.push(createTableRow("Score Breakdown", grant.fitBreakdown, borders, valueWidth));
             }
             
             sections.push(
                 new Table({
                     width: { size: 100, type: WidthType.PERCENTAGE },
-                    columnWidths: [2800, 6560], // Label: 2800, Value: 6560 (total 9360 for content width)
+                    columnWidths: [LABEL_COLUMN_WIDTH, valueWidth], // Together they fill the content width
                     rows: rows
                 })
             );
@@ -333,44 +541,162 @@ function createGrantSections(grants) {
     return sections;
 }
 
-// Helper function to create table rows
-function createTableRow(label, value, borders) {
+// Stage totals table, then the grants in each non-empty stage.
+// `pipeline` is the output of summarizePipeline() in pipeline-store.js.
+function createPipelineSections(pipeline, contentWidth) {
+    const border = { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC" };
+    const borders = { top: border, bottom: border, left: border, right: border };
+    const columnWidths = PIPELINE_COLUMN_SHARES.map(share => Math.floor(contentWidth * share));
+
+    const totals = pipeline.reduce((sum, stage) => ({
+        count: sum.count + stage.count,
+        requestedTotal: sum.requestedTotal + stage.requestedTotal,
+        awardedTotal: sum.awardedTotal + stage.awardedTotal
+    }), { count: 0, requestedTotal: 0, awardedTotal: 0 });
+
+    const rows = [
+        createPipelineRow(["Stage", "Grants", "Requested", "Awarded"], columnWidths, borders, true),
+        ...pipeline.map(stage => createPipelineRow([
+            stage.label,
+            String(stage.count),
+            formatCurrency(stage.requestedTotal),
+            formatCurrency(stage.awardedTotal)
+        ], columnWidths, borders)),
+        createPipelineRow([
+            "Total",
+            String(totals.count),
+            formatCurrency(totals.requestedTotal),
+            formatCurrency(totals.awardedTotal)
+        ], columnWidths, borders, true)
+    ];
+
+    const sections = [
+        new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            columnWidths,
+            rows
+        })
+    ];
+
+    pipeline.filter(stage => stage.items.length > 0).forEach(stage => {
+        sections.push(
+            new Paragraph({
+                heading: HeadingLevel.HEADING_3,
+                children: [
+                    new TextRun(`${stage.label} (${stage.count})`)
+                ]
+            })
+        );
+
+        stage.items.forEach(item => {
+            const details = [
+                item.owner && `Owner: ${item.owner}`,
+                item.requestedAmount !== null && `Requested: ${formatCurrency(item.requestedAmount)}`,
+                item.awardedAmount !== null && `Awarded: ${formatCurrency(item.awardedAmount)}`,
+                item.grant.deadline && `Deadline: ${formatDate(item.grant.deadline)}`
+            ].filter(Boolean);
+
+            sections.push(
+                new Paragraph({
+                    numbering: {
+                        reference: "bullets",
+                        level: 0
+                    },
+                    children: [
+                        new TextRun({
+                            text: `${item.grant.programName} – ${item.grant.funder}`,
+                            bold: true
+                        }),
+                        ...(details.length > 0 ? [new TextRun(`. ${details.join(' · ')}`)] : [])
+                    ]
+                })
+            );
+        });
+    });
+
+    return sections;
+}
+
+function createPipelineRow(values, columnWidths, borders, bold = false) {
     return new TableRow({
-        children: [
+        children: values.map((value, index) =>
             new TableCell({
                 borders,
-                width: { size: 2800, type: WidthType.DXA },
-                shading: { fill: "D5E8F0", type: ShadingType.CLEAR }, // CRITICAL: Use CLEAR not SOLID
+                width: { size: columnWidths[index], type: WidthType.DXA },
+                ...(bold ? { shading: { fill: "D5E8F0", type: ShadingType.CLEAR } } : {}),
                 margins: { top: 80, bottom: 80, left: 120, right: 120 },
                 children: [
                     new Paragraph({
                         children: [
                             new TextRun({
-                                text: label,
-                                bold: true,
+                                text: value,
+                                bold,
                                 size: 22
                             })
                         ]
                     })
                 ]
-            }),
+            })
+        )
+    });
+}
+
+// Helper function to create table rows; an array value becomes one line each
+function createTableRow(label, value, borders, valueWidth) {
+    const lines = Array.isArray(value) ? value : [value];
+
+    return new TableRow({
+        children: [
             new TableCell({
                 borders,
-                width: { size: 6560, type: WidthType.DXA },
+                width: { size: LABEL_COLUMN_WIDTH, type: WidthType.DXA },
+                shading: { fill: "D5E8F0", type: ShadingType.CLEAR }, // CRITICAL: Use CLEAR not SOLID
                 margins: { top: 80, bottom: 80, left: 120, right: 120 },
                 children: [
                     new Paragraph({
                         children: [
                             new TextRun({
-                                text: value,
+                                text: label,
+                                bold: true,
                                 size: 22
                             })
                         ]
                     })
                 ]
+            }),
+            new TableCell({
+                borders,
+                width: { size: valueWidth, type: WidthType.DXA },
+                margins: { top: 80, bottom: 80, left: 120, right: 120 },
+                children: lines.map(line => new Paragraph({
+                    children: [
+                        new TextRun({
+                            text: line,
+                            size: 22
+                        })
+                    ]
+                }))
             })
         ]
     });
 }
 
-module.exports = { generateGrantReportWord };
+// Build a download filename from the report title and generation date
+function buildReportFilename(options = {}, timestamp, extension = 'docx') {
+    const date = new Date(timestamp || Date.now());
+    const day = isNaN(date) ? new Date().toISOString().split('T')[0] : date.toISOString().split('T')[0];
+    const title = options?.title;
+    const slug = typeof title === 'string'
+        ? title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+        : '';
+
+    return `${slug || 'grant-research'}-${day}.${extension}`;
+}
+
+module.exports = {
+    generateGrantReportWord,
+    resolveReportOptions,
+    buildReportFilename,
+    toReportGrant,
+    PAGE_SIZES
+};
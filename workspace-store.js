@@ -0,0 +1,382 @@
+// workspace-store.js
+// Workspaces: the unit that owns Claude and Candid keys, org profiles, saved
+// research and quotas. Users belong to one or more and work in one at a time.
+
+const { createJsonStore, getEntry, setEntry } = require('./data-store');
+const secretBox = require('./secret-box');
+const userStore = require('./user-store');
+const usageStore = require('./usage-store');
+
+// Callers without a session work in "shared", which has no members and uses
+// the server's CLAUDE_API_KEY / CANDID_API_KEY
+const SHARED_WORKSPACE_ID = 'shared';
+
+// Ids are also the owner key of everything the workspace saves. A user's
+// personal workspace is named after their email, which is how their data was
+// keyed before workspaces existed, so personal ids take any email address
+// ("+" tags, long domains) rather than the pattern admins choose ids from.
+const WORKSPACE_ID = /^[a-z0-9][a-z0-9._@-]{0,63}$/;
+const PERSONAL_WORKSPACE_ID = /^[^\s@/]+@[^\s@/]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Keys are stored encrypted (see secret-box.js), bound to the workspace
+const KEY_FIELDS = { claude: 'claudeApiKey', candid: 'candidApiKey' };
+
+const store = createJsonStore('workspaces', { workspaces: {} });
+
+function normalizeId(id) {
+  return String(id || '').trim().toLowerCase();
+}
+
+// `personal` checks the id of a user's personal workspace: their email
+function validateWorkspaceId(id, { personal = false } = {}) {
+  const key = normalizeId(id);
+  if (personal) {
+    if (!PERSONAL_WORKSPACE_ID.test(key) || key.length > MAX_EMAIL_LENGTH) {
+      throw new Error(`"${key}" is not an email address a personal workspace can be named after`);
+    }
+    return key;
+  }
+  if (!WORKSPACE_ID.test(key)) {
+    throw new Error('Workspace id must be 1-64 lowercase letters, digits, ".", "_", "-" or "@", starting with a letter or digit');
+  }
+  if (key === SHARED_WORKSPACE_ID) {
+    throw new Error(`"${SHARED_WORKSPACE_ID}" is reserved for callers without a session`);
+  }
+  return key;
+}
+
+// ============================================
+// Workspaces
+// ============================================
+
+function getWorkspace(id) {
+  const key = normalizeId(id);
+  if (key === SHARED_WORKSPACE_ID) {
+    return { id: SHARED_WORKSPACE_ID, name: 'Shared', members: [], claudeApiKey: null, candidApiKey: null };
+  }
+  return getEntry(store.read().workspaces, key);
+}
+
+// By name
+function listWorkspaces() {
+  return Object.values(store.read().workspaces).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The workspaces a user belongs to, by name
+function workspacesFor(email) {
+  const key = normalizeEmail(email);
+  return listWorkspaces().filter(workspace => workspace.members.includes(key));
+}
+
+// The workspace a user is working in: `preferredId` while they're still a
+// member of it, else their first workspace, else null
+function activeWorkspace(email, preferredId = null) {
+  const workspaces = workspacesFor(email);
+  return workspaces.find(workspace => workspace.id === preferredId) || workspaces[0] || null;
+}
+
+// What the API shows: keys are reduced to their last four characters
+function publicWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    members: workspace.members,
+    claudeApiKey: secretBox.maskSecret(workspace.claudeApiKey),
+    candidApiKey: secretBox.maskSecret(workspace.candidApiKey),
+    createdAt: workspace.createdAt || null,
+    updatedAt: workspace.updatedAt || null
+  };
+}
+
+// `members` must be existing users
+function createWorkspace(id, { name = null, members = [], claudeApiKey = null, candidApiKey = null, personal = false } = {}) {
+  const key = validateWorkspaceId(id, { personal });
+  if (getWorkspace(key)) {
+    throw new Error(`Workspace ${key} already exists`);
+  }
+  const emails = members.map(requireUser);
+  const now = new Date().toISOString();
+
+  return store.update(data => setEntry(data.workspaces, key, {
+    id: key,
+    name: cleanName(name) || key,
+    members: [...new Set(emails)],
+    claudeApiKey: sealKey(key, 'claudeApiKey', claudeApiKey),
+    candidApiKey: sealKey(key, 'candidApiKey', candidApiKey),
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+function updateWorkspace(id, fn) {
+  const key = normalizeId(id);
+  return store.update(data => {
+    const workspace = getEntry(data.workspaces, key);
+    if (!workspace) {
+      throw new Error(`Workspace ${key} not found`);
+    }
+    fn(workspace);
+    workspace.updatedAt = new Date().toISOString();
+    return workspace;
+  });
+}
+
+function renameWorkspace(id, name) {
+  if (!cleanName(name)) {
+    throw new Error('Workspace name is required');
+  }
+  return updateWorkspace(id, workspace => {
+    workspace.name = cleanName(name);
+  });
+}
+
+// Keys left undefined are kept; null removes one
+function setWorkspaceKeys(id, keys) {
+  const key = normalizeId(id);
+  return updateWorkspace(key, workspace => {
+    for (const field of Object.values(KEY_FIELDS)) {
+      if (keys[field] !== undefined) {
+        workspace[field] = sealKey(key, field, keys[field]);
+      }
+    }
+  });
+}
+
+function addMember(id, email) {
+  const member = requireUser(email);
+  return updateWorkspace(id, workspace => {
+    if (!workspace.members.includes(member)) {
+      workspace.members.push(member);
+    }
+  });
+}
+
+function removeMember(id, email) {
+  const member = normalizeEmail(email);
+  return updateWorkspace(id, workspace => {
+    workspace.members = workspace.members.filter(m => m !== member);
+  });
+}
+
+// When a user is deleted. Their workspaces, and everything saved in them, stay.
+function removeMemberEverywhere(email) {
+  const member = normalizeEmail(email);
+  store.update(data => {
+    for (const workspace of Object.values(data.workspaces)) {
+      workspace.members = workspace.members.filter(m => m !== member);
+    }
+  });
+}
+
+// Members who would be left without a workspace if they lost `id`
+function membersOnlyIn(id) {
+  const workspace = getWorkspace(id);
+  return workspace ? workspace.members.filter(email => workspacesFor(email).length === 1) : [];
+}
+
+// Deletes the workspace and its keys. Profiles, history and saved grants
+// stay under its id, and come back if a workspace with that id is created.
+function deleteWorkspace(id) {
+  const key = normalizeId(id);
+  return store.update(data => {
+    const workspace = getEntry(data.workspaces, key);
+    if (workspace) {
+      delete data.workspaces[key];
+    }
+    return workspace;
+  });
+}
+
+// ============================================
+// Keys
+// ============================================
+
+// The encrypted form of a key, bound to its workspace and field
+function sealKey(id, field, apiKey) {
+  return secretBox.encryptSecret(apiKey ? String(apiKey).trim() : null, `workspace:${id}:${field}`);
+}
+
+// A workspace's own decrypted key for `service` (claude or candid), or null
+function getApiKey(workspace, service) {
+  const field = KEY_FIELDS[service];
+  return workspace ? secretBox.decryptSecret(workspace[field], `workspace:${workspace.id}:${field}`) : null;
+}
+
+function hasApiKey(workspace, service) {
+  return Boolean(workspace?.[KEY_FIELDS[service]]);
+}
+
+// Encrypt keys still stored in plaintext, and re-encrypt ones under an older
+// master key. Run at startup and by a master key rotation. Returns how many
+// keys were rewritten.
+function encryptStoredKeys() {
+  const fields = Object.values(KEY_FIELDS);
+  if (!listWorkspaces().some(workspace => fields.some(field => secretBox.needsEncryption(workspace[field])))) {
+    return 0;
+  }
+
+  return store.update(data => {
+    let count = 0;
+    for (const workspace of Object.values(data.workspaces)) {
+      for (const field of fields) {
+        if (secretBox.needsEncryption(workspace[field])) {
+          workspace[field] = sealKey(workspace.id, field, getApiKey(workspace, field === KEY_FIELDS.claude ? 'claude' : 'candid'));
+          count++;
+        }
+      }
+    }
+    return count;
+  });
+}
+
+// ============================================
+// Users
+// ============================================
+
+// Add a user and give them a workspace: `workspaceId` joins an existing one;
+// otherwise they get a personal workspace, named after their email, holding
+// any keys given. The workspace is checked first, and the user removed again
+// if it can't be set up, so no user is left without one.
+async function createUserInWorkspace(email, password, { role, workspaceId = null, claudeApiKey = null, candidApiKey = null } = {}) {
+  if (workspaceId && !getWorkspace(workspaceId)) {
+    throw new Error(`Workspace ${normalizeId(workspaceId)} not found`);
+  }
+  if (!workspaceId) {
+    validateWorkspaceId(email, { personal: true });
+  }
+
+  const user = await userStore.createUser(email, password, { role });
+  try {
+    if (workspaceId) {
+      addMember(workspaceId, user.email);
+    } else {
+      joinPersonalWorkspace(user.email, { claudeApiKey, candidApiKey });
+    }
+  } catch (error) {
+    userStore.deleteUser(user.email);
+    throw error;
+  }
+  return user;
+}
+
+// A workspace left behind by a deleted user with the same email is reused,
+// with its data
+function joinPersonalWorkspace(email, keys = {}) {
+  if (getWorkspace(email)) {
+    addMember(email, email);
+  } else {
+    createWorkspace(email, { members: [email], personal: true });
+  }
+  const changes = Object.fromEntries(Object.entries(keys).filter(([, value]) => value));
+  if (Object.keys(changes).length > 0) {
+    setWorkspaceKeys(email, changes);
+  }
+}
+
+// One-time migration from per-user keys and teams. Every user still holding
+// them gets a personal workspace with their keys (their existing history,
+// profiles and grants are already saved under its id), and each team becomes
+// a workspace of its members, taking over the team's usage and quota.
+// Returns { migrated, teams }: the emails moved and a map of team name ->
+// workspace id.
+function migrateUsers() {
+  const migrated = [];
+  const teams = {};
+
+  for (const user of userStore.listUsers()) {
+    const legacy = userStore.legacyFields(user);
+    if (!legacy) {
+      continue;
+    }
+
+    joinPersonalWorkspace(user.email, { claudeApiKey: legacy.claudeApiKey, candidApiKey: legacy.candidApiKey });
+    if (legacy.team) {
+      teams[legacy.team] = teams[legacy.team] || teamWorkspace(legacy.team);
+      addMember(teams[legacy.team], user.email);
+    }
+    // Cleared last, so an interrupted migration simply runs again
+    userStore.clearLegacyFields(user.email);
+    migrated.push(user.email);
+  }
+
+  usageStore.migrateTeams(Object.fromEntries(listWorkspaces().map(workspace => [workspace.name, workspace.id])));
+  return { migrated, teams };
+}
+
+// The workspace a team became: an existing one named after the team, else a
+// new one with an id made from the name
+function teamWorkspace(team) {
+  const existing = listWorkspaces().find(workspace => workspace.name === team);
+  if (existing) {
+    return existing.id;
+  }
+
+  const base = normalizeId(team).replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+/, '').slice(0, 56) || 'team';
+  let id = base === SHARED_WORKSPACE_ID ? `${base}-team` : base;
+  for (let n = 2; getWorkspace(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return createWorkspace(id, { name: team }).id;
+}
+
+// One-time migration from the old CLAUDE_USERS / CANDID_USERS / USER_PASSWORDS
+// env blobs: each user gets a personal workspace with their keys
+async function importEnvUsers(env = process.env) {
+  const claudeUsers = JSON.parse(env.CLAUDE_USERS || '{}');
+  const candidUsers = JSON.parse(env.CANDID_USERS || '{}');
+  const passwords = JSON.parse(env.USER_PASSWORDS || '{}');
+
+  const imported = [];
+  for (const [email, password] of Object.entries(passwords)) {
+    if (userStore.getUser(email)) {
+      continue;
+    }
+    const user = await createUserInWorkspace(email, password, {
+      claudeApiKey: claudeUsers[email] || null,
+      candidApiKey: candidUsers[email] || null
+    });
+    imported.push(user.email);
+  }
+  return imported;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function requireUser(email) {
+  const user = userStore.getUser(email);
+  if (!user) {
+    throw new Error(`User ${normalizeEmail(email)} not found`);
+  }
+  return user.email;
+}
+
+function cleanName(name) {
+  return name ? String(name).trim().slice(0, 200) : '';
+}
+
+module.exports = {
+  getWorkspace,
+  listWorkspaces,
+  workspacesFor,
+  activeWorkspace,
+  publicWorkspace,
+  validateWorkspaceId,
+  createWorkspace,
+  renameWorkspace,
+  setWorkspaceKeys,
+  addMember,
+  removeMember,
+  removeMemberEverywhere,
+  membersOnlyIn,
+  deleteWorkspace,
+  getApiKey,
+  hasApiKey,
+  encryptStoredKeys,
+  createUserInWorkspace,
+  migrateUsers,
+  importEnvUsers,
+  SHARED_WORKSPACE_ID
+};